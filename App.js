@@ -11,6 +11,7 @@ import { DownloadProvider } from './DownloadContext';
 import AppLayout from './foot_player';
 import MiniPlayer from './MiniPlayer';
 import PlayerScreen from './PlayerScreen';
+import MediaSessionController from './components/MediaSessionController';
 import { AppTheme } from './colors';
 
 // Import detail screens
@@ -18,6 +19,9 @@ import AlbumDetailsScreen from './components/AlbumDetailsScreen';
 import ArtistDetailsScreen from './components/ArtistDetailsScreen';
 import PlaylistDetailsScreen from './components/PlaylistDetailsScreen';
 import UserPlaylistScreen from './UserPlaylistScreen';
+import SettingsScreen from './SettingsScreen';
+import StatsScreen from './StatsScreen';
+import RecapScreen from './RecapScreen';
 
 global.Buffer = Buffer;
 const Stack = createNativeStackNavigator();
@@ -43,9 +47,15 @@ const AppContent = () => {
                     <Stack.Screen name="ArtistDetails" component={ArtistDetailsScreen} />
                     <Stack.Screen name="PlaylistDetails" component={PlaylistDetailsScreen}/>
                     <Stack.Screen  name="UserPlaylist"  component={UserPlaylistScreen}  options={{ headerShown: false }}/>
+                    <Stack.Screen name="Settings" component={SettingsScreen} />
+                    <Stack.Screen name="Stats" component={StatsScreen} />
+                    <Stack.Screen name="Recap" component={RecapScreen} />
                 </Stack.Navigator>
             </NavigationContainer>
 
+            {/* Publishes the current track to the lock screen and handles remote commands */}
+            <MediaSessionController />
+
             {/* Conditionally render MiniPlayer only if a track is playing and the full player is hidden */}
             {currentTrack && !isPlayerVisible && (
                 <MiniPlayer onPlayerPress={() => setIsPlayerVisible(true)} />
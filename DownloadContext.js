@@ -1,39 +1,125 @@
 //downloadContext.js
-import React, { createContext, useState, useContext } from 'react';
+import React, { createContext, useContext, useEffect, useReducer, useMemo } from 'react';
+import { AppState } from 'react-native';
+import * as Network from 'expo-network';
 
+import DownloadManager, { DownloadEvent } from './downloader';
+import * as storage from './storage';
+
+// DownloadContext holds the queue and run state. DownloadProgressContext holds the live state of
+// individual tracks, which changes with every progress update while a download runs.
 const DownloadContext = createContext();
+const DownloadProgressContext = createContext({});
 
 export const useDownload = () => useContext(DownloadContext);
 
+/**
+ * The live state of a track, or null if nothing has happened to it since launch.
+ */
+export const useTrackDownloadState = (trackId) => useContext(DownloadProgressContext)[trackId] || null;
+
+const initialState = {
+  queue: [],
+  isProcessing: false,
+  runStats: null,
+  // Live state of individual tracks, keyed by track ID: { phase, bytesWritten, totalBytes, progress, error? }.
+  // `phase` is the type of the track's latest DownloadEvent.
+  tracks: {},
+};
+
+const withTrackPhase = (tracks, trackId, phase, details = {}) => ({
+  ...tracks,
+  [trackId]: { phase, bytesWritten: 0, totalBytes: null, progress: null, ...details },
+});
+
+const downloadReducer = (state, event) => {
+  switch (event.type) {
+    case DownloadEvent.QUEUE_CHANGED:
+      return {
+        ...state,
+        queue: event.queue,
+        isProcessing: event.isProcessing,
+        // Enqueueing mid-run publishes the queue without counts, so the last counts are kept
+        runStats: event.isProcessing ? (event.stats || state.runStats) : null,
+      };
+    case DownloadEvent.QUEUED:
+      return {
+        ...state,
+        tracks: event.trackIds.reduce((tracks, trackId) => withTrackPhase(tracks, trackId, event.type), state.tracks),
+      };
+    case DownloadEvent.DOWNLOADING: {
+      const { bytesWritten, totalBytes, progress } = event;
+      return { ...state, tracks: withTrackPhase(state.tracks, event.trackId, event.type, { bytesWritten, totalBytes, progress }) };
+    }
+    case DownloadEvent.FAILED:
+      return { ...state, tracks: withTrackPhase(state.tracks, event.trackId, event.type, { error: event.error }) };
+    case DownloadEvent.RESOLVING:
+    case DownloadEvent.DONE:
+    case DownloadEvent.CANCELLED:
+      return { ...state, tracks: withTrackPhase(state.tracks, event.trackId, event.type) };
+    case DownloadEvent.SAVING:
+      // Keep the final byte counts on screen while the track is recorded
+      return { ...state, tracks: { ...state.tracks, [event.trackId]: { ...state.tracks[event.trackId], phase: event.type } } };
+    default:
+      return state;
+  }
+};
+
+/**
+ * Mirrors the download manager's events into React state, so any screen can show the
+ * queue and live per-track progress whether or not the Downloads tab is open.
+ */
 export const DownloadProvider = ({ children }) => {
-  const [downloadQueue, setDownloadQueue] = useState([]);
-
-  const addToQueue = (track) => {
-    setDownloadQueue(prevQueue => [...prevQueue, { ...track, progress: 0 }]);
-  };
-
-  const updateProgress = (trackId, progress) => {
-    setDownloadQueue(prevQueue =>
-      prevQueue.map(item =>
-        item.id === trackId ? { ...item, progress } : item
-      )
-    );
-  };
-
-  const removeFromQueue = (trackId) => {
-    setDownloadQueue(prevQueue => prevQueue.filter(item => item.id !== trackId));
-  };
-
-  const value = {
-    downloadQueue,
-    addToQueue,
-    updateProgress,
-    removeFromQueue,
-  };
+  const [state, dispatch] = useReducer(downloadReducer, initialState);
+
+  useEffect(() => {
+    // The stored queue is only a starting point; once the manager has published a queue it is newer.
+    let hasPublishedQueue = false;
+    const unsubscribe = DownloadManager.addListener((event) => {
+      if (event.type === DownloadEvent.QUEUE_CHANGED) hasPublishedQueue = true;
+      dispatch(event);
+    });
+    storage.getDownloadQueue()
+      .then(queue => {
+        if (hasPublishedQueue) return;
+        dispatch({ type: DownloadEvent.QUEUE_CHANGED, queue, isProcessing: DownloadManager.isProcessing(), stats: null });
+      })
+      .catch(e => console.error('Failed to load the download queue.', e));
+    return unsubscribe;
+  }, []);
+
+  // Resume automatic downloads on launch, when the app comes back to the foreground
+  // and when the network changes (e.g. the device joins Wi-Fi).
+  useEffect(() => {
+    DownloadManager.autoProcessQueue();
+
+    const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState === 'active') DownloadManager.autoProcessQueue();
+    });
+    const networkSubscription = Network.addNetworkStateListener(({ isConnected }) => {
+      if (isConnected) DownloadManager.autoProcessQueue();
+    });
+
+    return () => {
+      appStateSubscription.remove();
+      networkSubscription.remove();
+    };
+  }, []);
+
+  const queuedIds = useMemo(() => new Set(state.queue.map(item => item.id)), [state.queue]);
+
+  const value = useMemo(() => ({
+    queue: state.queue,
+    queuedIds,
+    isProcessing: state.isProcessing,
+    runStats: state.runStats,
+  }), [state.queue, queuedIds, state.isProcessing, state.runStats]);
 
   return (
     <DownloadContext.Provider value={value}>
-      {children}
+      <DownloadProgressContext.Provider value={state.tracks}>
+        {children}
+      </DownloadProgressContext.Provider>
     </DownloadContext.Provider>
   );
 };
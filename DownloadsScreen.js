@@ -1,17 +1,52 @@
-import React, { useState, useCallback } from 'react';
-import { StyleSheet, Text, View, SectionList, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import React, { useState, useCallback, useEffect } from 'react';
+import { StyleSheet, Text, View, SectionList, TouchableOpacity, ActivityIndicator, Alert, Platform } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useFocusEffect } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 
 import { AppTheme } from './colors';
 import * as storage from './storage';
-import DownloadManager from './downloader';
+import DownloadManager, { DownloadEvent } from './downloader';
+import { useDownload, useTrackDownloadState } from './DownloadContext';
 import { TrackListItem } from './components/TrackListItem';
 import { usePlayer } from './PlayerContext';
+import { showTrackActions } from './components/trackActions';
+
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+/**
+ * Shows the actions available for a queue item, depending on its status.
+ * @param {object} item - The queue item the menu was opened for.
+ */
+const showQueueItemActions = (item) => {
+    const isRunning = item.status === 'processing';
+    // Android alerts show at most three buttons, so there the menu is dismissed by tapping
+    // outside it rather than with a Cancel button.
+    const actions = Platform.OS === 'ios' ? [{ text: "Cancel", style: "cancel" }] : [];
+
+    if (item.status === 'failed') {
+        actions.push({ text: "Retry", onPress: () => DownloadManager.retryTrack(item.id) });
+    }
+    if (item.status === 'paused') {
+        actions.push({ text: "Resume", onPress: () => DownloadManager.resumeTrack(item.id) });
+    } else if (item.status !== 'failed') {
+        actions.push({ text: "Pause", onPress: () => DownloadManager.pauseTrack(item.id) });
+    }
+    if (!isRunning) {
+        actions.push({ text: "Move to Top", onPress: () => DownloadManager.moveToTop(item.id) });
+    }
+    actions.push({
+        text: isRunning ? "Cancel Download" : "Remove",
+        style: "destructive",
+        onPress: () => DownloadManager.removeFromQueue(item.id),
+    });
+
+    Alert.alert(item.name, null, actions, { cancelable: true });
+};
 
 // A component to render each item in the download queue
 const QueueItem = ({ item }) => {
+    const trackState = useTrackDownloadState(item.id);
     let icon = "time-outline";
     let color = AppTheme.colors.text;
 
@@ -20,10 +55,18 @@ const QueueItem = ({ item }) => {
             icon = "sync-outline";
             color = AppTheme.colors.primary;
             break;
+        case 'pending_backend':
+            icon = "hourglass-outline";
+            color = '#A0A0A0';
+            break;
         case 'failed':
             icon = "alert-circle-outline";
             color = AppTheme.colors.notification;
             break;
+        case 'paused':
+            icon = "pause-circle-outline";
+            color = '#A0A0A0';
+            break;
         case 'queued':
         default:
             icon = "time-outline";
@@ -32,33 +75,61 @@ const QueueItem = ({ item }) => {
     }
 
     return (
-        <View style={styles.queueItemContainer}>
+        <TouchableOpacity style={styles.queueItemContainer} onLongPress={() => showQueueItemActions(item)} activeOpacity={0.7}>
             <Ionicons name={icon} size={24} color={color} style={styles.queueIcon} />
             <View style={styles.queueInfo}>
                 <Text style={styles.queueText} numberOfLines={1}>{item.name}</Text>
                 <Text style={styles.queueSubtext}>{item.artists?.map(a => a.name).join(', ') || 'Unknown Artist'}</Text>
+                {item.status === 'pending_backend' && (
+                    <Text style={styles.queueSubtext}>Waiting for the server to find this track</Text>
+                )}
+                {item.status === 'paused' && <Text style={styles.queueSubtext}>Paused</Text>}
+                {item.status === 'failed' && (
+                    <Text style={styles.queueErrorText} numberOfLines={2}>
+                        {item.error?.message || 'The download failed.'}
+                        {item.retryAt
+                            ? ` Retrying at ${new Date(item.retryAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}.`
+                            : ' Retry it from the menu.'}
+                    </Text>
+                )}
+                {item.status === 'processing' && trackState?.phase === DownloadEvent.RESOLVING && (
+                    <Text style={styles.queueSubtext}>Finding the audio...</Text>
+                )}
+                {item.status === 'processing' && (trackState?.phase === DownloadEvent.DOWNLOADING || trackState?.phase === DownloadEvent.SAVING) && (
+                    <>
+                        {trackState.progress !== null && (
+                            <View style={styles.progressTrack}>
+                                <View style={[styles.progressFill, { width: `${trackState.progress * 100}%` }]} />
+                            </View>
+                        )}
+                        <Text style={styles.queueSubtext}>
+                            {trackState.phase === DownloadEvent.SAVING
+                                ? 'Saving...'
+                                : `${formatMegabytes(trackState.bytesWritten)}${trackState.totalBytes ? ` / ${formatMegabytes(trackState.totalBytes)}` : ' downloaded'}`}
+                        </Text>
+                    </>
+                )}
             </View>
             {item.status === 'processing' && <ActivityIndicator color={AppTheme.colors.primary} />}
-        </View>
+            <TouchableOpacity onPress={() => showQueueItemActions(item)} style={styles.queueMoreButton}>
+                <Ionicons name="ellipsis-vertical" size={20} color="#A0A0A0" />
+            </TouchableOpacity>
+        </TouchableOpacity>
     );
 };
 
 
 export default function DownloadsScreen({ navigation }) {
-    const [queue, setQueue] = useState([]);
+    const { queue, isProcessing, runStats } = useDownload();
     const [downloadedTracks, setDownloadedTracks] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
-    const [isProcessing, setIsProcessing] = useState(false);
-    const { playTrack } = usePlayer();
+    const [isStartingRun, setIsStartingRun] = useState(false);
+    const player = usePlayer();
+    const { playTrack } = player;
 
-    const loadData = useCallback(async () => {
-        setIsLoading(true);
+    const loadDownloadedTracks = useCallback(async () => {
         try {
-            const [queueData, downloadedData] = await Promise.all([
-                storage.getDownloadQueue(),
-                storage.getDownloadedTracks()
-            ]);
-            setQueue(queueData);
+            const downloadedData = await storage.getDownloadedTracks();
             setDownloadedTracks(Object.values(downloadedData));
         } catch (e) {
             console.error("Failed to load downloads screen data:", e);
@@ -69,20 +140,28 @@ export default function DownloadsScreen({ navigation }) {
 
     useFocusEffect(
         useCallback(() => {
-            loadData();
-        }, [loadData])
+            loadDownloadedTracks();
+        }, [loadDownloadedTracks])
     );
 
+    // Finished downloads leave the queue, so the completed list is refreshed whenever it shrinks
+    useEffect(() => {
+        loadDownloadedTracks();
+    }, [queue.length, loadDownloadedTracks]);
+
+    const isBusy = isProcessing || isStartingRun;
+    const failedCount = queue.filter(item => item.status === 'failed').length;
+
+    // Runs regardless of the automatic download settings, e.g. to download over mobile data once
     const handleProcessQueue = async () => {
-        if (isProcessing || queue.length === 0) return;
-
-        setIsProcessing(true);
-        await DownloadManager.processQueue((updatedQueue) => {
-            setQueue([...updatedQueue]);
-        });
-        
-        await loadData();
-        setIsProcessing(false);
+        if (isBusy || queue.length === 0) return;
+
+        setIsStartingRun(true);
+        try {
+            await DownloadManager.processQueue();
+        } finally {
+            setIsStartingRun(false);
+        }
         Alert.alert("Queue Processed", "Finished processing the download queue.");
     };
 
@@ -95,8 +174,7 @@ export default function DownloadsScreen({ navigation }) {
                 {
                     text: "Clear All", style: "destructive",
                     onPress: async () => {
-                        await storage.updateDownloadQueue([]);
-                        setQueue([]);
+                        await DownloadManager.clearQueue();
                     },
                 },
             ]
@@ -105,7 +183,14 @@ export default function DownloadsScreen({ navigation }) {
     
     const sections = [
         { title: `Download Queue`, data: queue, renderItem: ({ item }) => <QueueItem item={item} /> },
-        { title: 'Completed', data: downloadedTracks, renderItem: ({ item }) => <TrackListItem track={item} onPress={() => playTrack(item, downloadedTracks)} /> }
+        { title: 'Completed', data: downloadedTracks, renderItem: ({ item }) => (
+            <TrackListItem
+                track={item}
+                onPress={() => playTrack(item, downloadedTracks)}
+                onLongPress={() => showTrackActions(item, player)}
+                onMorePress={() => showTrackActions(item, player)}
+            />
+        ) }
     ].filter(s => s.data.length > 0);
 
     return (
@@ -113,11 +198,11 @@ export default function DownloadsScreen({ navigation }) {
             <View style={styles.header}>
                  <Text style={styles.headerTitle}>Downloads</Text>
                  <TouchableOpacity 
-                    style={[styles.processButton, (isProcessing || queue.length === 0) && styles.disabledButton]}
+                    style={[styles.processButton, (isBusy || queue.length === 0) && styles.disabledButton]}
                     onPress={handleProcessQueue}
-                    disabled={isProcessing || queue.length === 0}
+                    disabled={isBusy || queue.length === 0}
                  >
-                    {isProcessing ? (
+                    {isBusy ? (
                         <ActivityIndicator color="#FFF" />
                     ) : (
                         <>
@@ -128,6 +213,13 @@ export default function DownloadsScreen({ navigation }) {
                  </TouchableOpacity>
             </View>
 
+            {isProcessing && runStats && (
+                <Text style={styles.runStatsText}>
+                    {runStats.downloading} downloading · {runStats.queued} waiting · {runStats.completed} done
+                    {runStats.failed > 0 ? ` · ${runStats.failed} failed` : ''}
+                </Text>
+            )}
+
             {isLoading ? (
                  <ActivityIndicator size="large" color={AppTheme.colors.primary} style={{ flex: 1 }} />
             ) : (
@@ -138,9 +230,16 @@ export default function DownloadsScreen({ navigation }) {
                        <View style={styles.sectionHeaderContainer}>
                          <Text style={styles.sectionHeader}>{title}</Text>
                          {title.includes('Download Queue') && data.length > 0 && (
-                             <TouchableOpacity onPress={handleClearQueue}>
-                                 <Text style={styles.clearButtonText}>Clear All</Text>
-                             </TouchableOpacity>
+                             <View style={styles.sectionActions}>
+                                 {failedCount > 0 && (
+                                     <TouchableOpacity onPress={() => DownloadManager.retryAllFailed()}>
+                                         <Text style={styles.clearButtonText}>Retry failed ({failedCount})</Text>
+                                     </TouchableOpacity>
+                                 )}
+                                 <TouchableOpacity onPress={handleClearQueue}>
+                                     <Text style={styles.clearButtonText}>Clear All</Text>
+                                 </TouchableOpacity>
+                             </View>
                          )}
                        </View>
                     )}
@@ -179,6 +278,7 @@ const styles = StyleSheet.create({
     },
     processButtonText: { color: '#FFF', fontWeight: 'bold', marginLeft: 8 },
     disabledButton: { backgroundColor: AppTheme.colors.border },
+    runStatsText: { color: '#A0A0A0', fontSize: 14, paddingHorizontal: 16 },
     sectionHeaderContainer: {
         flexDirection: 'row',
         justifyContent: 'space-between',
@@ -192,6 +292,7 @@ const styles = StyleSheet.create({
         fontWeight: 'bold', 
         color: AppTheme.colors.text, 
     },
+    sectionActions: { flexDirection: 'row', gap: 16 },
     clearButtonText: {
         color: AppTheme.colors.primary,
         fontSize: 14,
@@ -206,9 +307,13 @@ const styles = StyleSheet.create({
         marginBottom: 8
     },
     queueIcon: { marginRight: 12 },
+    queueMoreButton: { paddingLeft: 12 },
     queueInfo: { flex: 1 },
     queueText: { color: AppTheme.colors.text, fontSize: 16 },
     queueSubtext: { color: '#A0A0A0', fontSize: 12 },
+    queueErrorText: { color: AppTheme.colors.notification, fontSize: 12, marginTop: 2 },
+    progressTrack: { height: 3, backgroundColor: AppTheme.colors.background, borderRadius: 2, marginVertical: 4, overflow: 'hidden' },
+    progressFill: { height: '100%', backgroundColor: AppTheme.colors.primary },
     emptyContainer: { flex: 1, justifyContent: 'center', alignItems: 'center', paddingTop: '30%' },
     emptyTitle: { fontSize: 24, fontWeight: 'bold', color: AppTheme.colors.text, marginTop: 20 },
     emptySubtitle: { fontSize: 16, color: '#A0A0A0', marginTop: 8, textAlign: 'center' },
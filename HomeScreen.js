@@ -7,35 +7,164 @@ import { Ionicons } from '@expo/vector-icons';
 import { AppTheme } from './colors';
 import * as storage from './storage';
 import { usePlayer } from './PlayerContext';
+import { showTrackActions } from './components/trackActions';
+import { TrackListItem } from './components/TrackListItem';
+import DownloadManager from './downloader';
+import { useDownload } from './DownloadContext';
+import { getRecommendations } from './recommendations';
 
-const RecentTrackItem = ({ item, onPlay }) => (
-    <TouchableOpacity style={styles.recentItemContainer} onPress={onPlay}>
-        <Image source={{ uri: item.thumbnailUri || 'https://placehold.co/55x55/1F2F3A/FFFFFF?text=?' }} style={styles.recentImage} />
-        <View style={styles.recentInfo}>
-            <Text style={styles.recentName} numberOfLines={1}>{item.name}</Text>
-            <Text style={styles.recentArtist} numberOfLines={1}>
-                {Array.isArray(item.artists) ? item.artists.join(', ') : 'Unknown Artist'}
-            </Text>
+const SECTION_LIMIT = 15;
+// A track counts as a forgotten favourite once it has this many plays but hasn't
+// been played for FORGOTTEN_AFTER_MS.
+const FORGOTTEN_MIN_PLAYS = 5;
+const FORGOTTEN_AFTER_MS = 30 * 24 * 60 * 60 * 1000;
+const RECOMMENDATIONS_SHOWN = 10;
+const PLACEHOLDER_ART = 'https://placehold.co/130x130/1F2F3A/FFFFFF?text=?';
+
+/**
+ * Splits the downloaded tracks into the home feed sections.
+ * @param {object[]} tracks - All downloaded tracks.
+ * @param {number} now - The current time in milliseconds.
+ */
+const buildTrackSections = (tracks, now) => {
+    const played = tracks.filter(track => track.playCount > 0);
+    return [
+        {
+            key: 'recent',
+            title: 'Recently Played',
+            tracks: [...played]
+                .sort((a, b) => (b.lastPlayedTimestamp || 0) - (a.lastPlayedTimestamp || 0))
+                .slice(0, SECTION_LIMIT),
+        },
+        {
+            key: 'mostPlayed',
+            title: 'Most Played',
+            tracks: [...played]
+                .sort((a, b) => b.playCount - a.playCount)
+                .slice(0, SECTION_LIMIT),
+        },
+        {
+            key: 'downloaded',
+            title: 'Recently Downloaded',
+            tracks: tracks
+                .filter(track => track.downloadedAt)
+                .sort((a, b) => new Date(b.downloadedAt) - new Date(a.downloadedAt))
+                .slice(0, SECTION_LIMIT),
+        },
+        {
+            key: 'forgotten',
+            title: 'Forgotten Favourites',
+            tracks: played
+                .filter(track => track.playCount >= FORGOTTEN_MIN_PLAYS && track.lastPlayedTimestamp && now - track.lastPlayedTimestamp > FORGOTTEN_AFTER_MS)
+                .sort((a, b) => b.playCount - a.playCount)
+                .slice(0, SECTION_LIMIT),
+        },
+    ].filter(section => section.tracks.length > 0);
+};
+
+const TrackCard = ({ item, onPlay, onLongPress }) => (
+    <TouchableOpacity style={styles.card} onPress={onPlay} onLongPress={onLongPress}>
+        <Image source={{ uri: item.thumbnailUri || PLACEHOLDER_ART }} style={styles.cardImage} />
+        <Text style={styles.cardTitle} numberOfLines={1}>{item.name}</Text>
+        <Text style={styles.cardSubtitle} numberOfLines={1}>
+            {Array.isArray(item.artists) ? item.artists.join(', ') : 'Unknown Artist'}
+        </Text>
+    </TouchableOpacity>
+);
+
+const PlaylistCard = ({ playlist, onOpen, onPlay }) => (
+    <TouchableOpacity style={styles.card} onPress={onOpen}>
+        <View>
+            <Image source={{ uri: playlist.tracks[0]?.thumbnailUri || PLACEHOLDER_ART }} style={styles.cardImage} />
+            {playlist.tracks.length > 0 && (
+                <TouchableOpacity style={styles.playBadge} onPress={onPlay}>
+                    <Ionicons name="play" size={18} color="#FFFFFF" />
+                </TouchableOpacity>
+            )}
         </View>
-        <Text style={styles.playCountText}>{item.playCount || 0} plays</Text>
+        <Text style={styles.cardTitle} numberOfLines={1}>{playlist.name}</Text>
+        <Text style={styles.cardSubtitle}>{playlist.tracks.length} songs</Text>
     </TouchableOpacity>
 );
 
+const HorizontalSection = ({ title, children }) => (
+    <View style={styles.sectionContainer}>
+        <Text style={styles.sectionHeader}>{title}</Text>
+        {children}
+    </View>
+);
+
+const RecommendationsSection = ({ recommendations, isRefreshing, onRefresh, queuedIds, onDownload, player }) => {
+    const { tracks, isStale, error } = recommendations;
+    // Nothing to recommend from yet (no listening history) and nothing went wrong
+    if (tracks.length === 0 && !error) return null;
+    const shown = tracks.slice(0, RECOMMENDATIONS_SHOWN);
+
+    return (
+        <View style={styles.sectionContainer}>
+            <View style={styles.sectionHeaderRow}>
+                <Text style={[styles.sectionHeader, styles.sectionHeaderFlex]}>Recommended for you</Text>
+                <TouchableOpacity onPress={onRefresh} disabled={isRefreshing} style={styles.refreshButton}>
+                    {isRefreshing
+                        ? <ActivityIndicator size="small" color={AppTheme.colors.primary} />
+                        : <Ionicons name="refresh" size={20} color={AppTheme.colors.text} />}
+                </TouchableOpacity>
+            </View>
+            {error && (
+                <Text style={styles.sectionNote}>
+                    {isStale ? "Couldn't refresh recommendations. Showing the last ones we found." : 'Recommendations are unavailable right now.'}
+                </Text>
+            )}
+            <View style={styles.recommendationList}>
+                {shown.map(track => (
+                    <TrackListItem
+                        key={track.id}
+                        track={track}
+                        onPress={() => player.playTrack(track, shown)}
+                        onLongPress={() => showTrackActions(track, player)}
+                        onDownloadPress={() => onDownload(track)}
+                        isDownloadQueued={queuedIds.has(track.id)}
+                    />
+                ))}
+            </View>
+        </View>
+    );
+};
+
 
 export default function HomeScreen({ navigation }) {
-    const { playTrack } = usePlayer();
-    const [recents, setRecents] = useState([]);
+    const player = usePlayer();
+    const { playTrack } = player;
+    const [trackSections, setTrackSections] = useState([]);
+    const [playlists, setPlaylists] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
+    const [recommendations, setRecommendations] = useState({ tracks: [], isStale: false, error: null });
+    const [isRefreshingRecommendations, setIsRefreshingRecommendations] = useState(false);
+    const { queuedIds } = useDownload();
+
+    // Loaded separately from the rest of the feed so a slow backend never holds up Home
+    const loadRecommendations = useCallback(async (forceRefresh = false) => {
+        setIsRefreshingRecommendations(true);
+        try {
+            setRecommendations(await getRecommendations({ forceRefresh }));
+        } catch (error) {
+            console.error("Failed to load recommendations:", error);
+        } finally {
+            setIsRefreshingRecommendations(false);
+        }
+    }, []);
+
+    const handleDownload = (track) => DownloadManager.enqueueTrack(track);
 
     const loadData = useCallback(async () => {
         setIsLoading(true);
         try {
-            const tracksObj = await storage.getDownloadedTracks();
-            const recentsResult = Object.values(tracksObj)
-                    .filter(track => track.playCount > 0)
-                    .sort((a, b) => (b.lastPlayedTimestamp || 0) - (a.lastPlayedTimestamp || 0))
-                    .slice(0, 15);
-            setRecents(recentsResult);
+            const [tracksObj, savedPlaylists] = await Promise.all([storage.getDownloadedTracks(), storage.getPlaylists()]);
+            setTrackSections(buildTrackSections(Object.values(tracksObj), Date.now()));
+            setPlaylists(savedPlaylists.map(playlist => ({
+                ...playlist,
+                tracks: playlist.trackIds.map(id => tracksObj[id]).filter(Boolean),
+            })));
         } catch (error) {
             console.error("Failed to load home screen data:", error);
         } finally {
@@ -46,7 +175,8 @@ export default function HomeScreen({ navigation }) {
     useFocusEffect(
         useCallback(() => {
             loadData();
-        }, [loadData])
+            loadRecommendations();
+        }, [loadData, loadRecommendations])
     ); 
 
     if (isLoading) {
@@ -57,7 +187,7 @@ export default function HomeScreen({ navigation }) {
         );
     }
     
-    if (recents.length === 0) { 
+    if (trackSections.length === 0 && playlists.length === 0) { 
         return (
             <SafeAreaView style={styles.screenContainer}>
                 <View style={styles.emptyContainer}>
@@ -76,17 +206,49 @@ export default function HomeScreen({ navigation }) {
         <SafeAreaView style={styles.screenContainer}>
             <ScrollView contentContainerStyle={{ paddingBottom: 150 }}>
                 <Text style={styles.header}>Home</Text>
-                {recents.length > 0 && (
-                    <View style={styles.sectionContainer}>
-                        <Text style={styles.sectionHeader}>Recently Played</Text>
-                        {recents.map(item => (
-                             <RecentTrackItem 
-                                key={item.id} 
-                                item={item} 
-                                onPlay={() => playTrack(item, recents)} // Pass the full list to set the queue
-                             />
-                        ))}
-                    </View>
+                {trackSections.map(section => (
+                    <HorizontalSection key={section.key} title={section.title}>
+                        <FlatList
+                            horizontal
+                            data={section.tracks}
+                            keyExtractor={item => item.id}
+                            showsHorizontalScrollIndicator={false}
+                            contentContainerStyle={styles.sectionList}
+                            renderItem={({ item }) => (
+                                <TrackCard
+                                    item={item}
+                                    onPlay={() => playTrack(item, section.tracks)} // Pass the full section to set the queue
+                                    onLongPress={() => showTrackActions(item, player)}
+                                />
+                            )}
+                        />
+                    </HorizontalSection>
+                ))}
+                <RecommendationsSection
+                    recommendations={recommendations}
+                    isRefreshing={isRefreshingRecommendations}
+                    onRefresh={() => loadRecommendations(true)}
+                    queuedIds={queuedIds}
+                    onDownload={handleDownload}
+                    player={player}
+                />
+                {playlists.length > 0 && (
+                    <HorizontalSection title="Your Playlists">
+                        <FlatList
+                            horizontal
+                            data={playlists}
+                            keyExtractor={item => item.id}
+                            showsHorizontalScrollIndicator={false}
+                            contentContainerStyle={styles.sectionList}
+                            renderItem={({ item }) => (
+                                <PlaylistCard
+                                    playlist={item}
+                                    onOpen={() => navigation.navigate('UserPlaylist', { playlist: item })}
+                                    onPlay={() => playTrack(item.tracks[0], item.tracks)}
+                                />
+                            )}
+                        />
+                    </HorizontalSection>
                 )}
             </ScrollView>
         </SafeAreaView>
@@ -103,10 +265,15 @@ const styles = StyleSheet.create({
     emptySubtitle: { fontSize: 16, color: '#A0A0A0', marginTop: 8, textAlign: 'center' },
     exploreButton: { backgroundColor: AppTheme.colors.primary, paddingVertical: 12, paddingHorizontal: 30, borderRadius: 30, marginTop: 30 },
     exploreButtonText: { color: '#FFFFFF', fontSize: 16, fontWeight: 'bold' },
-    recentItemContainer: { flexDirection: 'row', alignItems: 'center', marginBottom: 10, paddingRight: 16 },
-    recentImage: { width: 55, height: 55, borderRadius: 4 },
-    recentInfo: { flex: 1, marginLeft: 12, justifyContent: 'center' },
-    recentName: { color: AppTheme.colors.text, fontSize: 16, fontWeight: 'bold' },
-    recentArtist: { color: '#A0A0A0', fontSize: 14, marginTop: 2 },
-    playCountText: { fontSize: 12, color: '#A0A0A0' },
+    sectionList: { paddingRight: 16 },
+    sectionHeaderRow: { flexDirection: 'row', alignItems: 'center', paddingRight: 16, marginBottom: 12 },
+    sectionHeaderFlex: { flex: 1, marginBottom: 0 },
+    refreshButton: { padding: 4 },
+    sectionNote: { color: '#A0A0A0', fontSize: 14, marginBottom: 8, paddingRight: 16 },
+    recommendationList: { marginLeft: -10, paddingRight: 6 },
+    card: { width: 130, marginRight: 12 },
+    cardImage: { width: 130, height: 130, borderRadius: 4 },
+    cardTitle: { color: AppTheme.colors.text, fontSize: 14, fontWeight: 'bold', marginTop: 6 },
+    cardSubtitle: { color: '#A0A0A0', fontSize: 12, marginTop: 2 },
+    playBadge: { position: 'absolute', right: 6, bottom: 6, width: 32, height: 32, borderRadius: 16, backgroundColor: AppTheme.colors.primary, justifyContent: 'center', alignItems: 'center' },
 });
@@ -120,9 +120,17 @@ export default function LibraryScreen({ navigation }) {
           />
           <Text style={styles.sortText}>{sortOrder === 'alphabetical' ? 'Alphabetical' : 'Recent'}</Text>
         </TouchableOpacity>
-        <TouchableOpacity style={styles.addButton} onPress={() => setIsModalVisible(true)}>
-          <Ionicons name="add" size={24} color={AppTheme.colors.primary} />
-        </TouchableOpacity>
+        <View style={styles.headerActions}>
+          <TouchableOpacity style={styles.addButton} onPress={() => navigation.navigate('Stats')}>
+            <Ionicons name="stats-chart-outline" size={22} color={AppTheme.colors.text} />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.addButton} onPress={() => navigation.navigate('Settings')}>
+            <Ionicons name="settings-outline" size={22} color={AppTheme.colors.text} />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.addButton} onPress={() => setIsModalVisible(true)}>
+            <Ionicons name="add" size={24} color={AppTheme.colors.primary} />
+          </TouchableOpacity>
+        </View>
       </View>
 
       <FlatList
@@ -198,6 +206,7 @@ const styles = StyleSheet.create({
   controlsContainer: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', paddingHorizontal: 16, marginBottom: 10 },
   sortButton: { flexDirection: 'row', alignItems: 'center' },
   sortText: { color: AppTheme.colors.text, marginLeft: 8, fontSize: 16 },
+  headerActions: { flexDirection: 'row', alignItems: 'center' },
   addButton: { padding: 8 },
   list: { flex: 1 },
   playlistItem: { flex: 1, margin: 8, maxWidth: '46%' },
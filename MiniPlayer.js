@@ -3,13 +3,15 @@ import { StyleSheet, View, Text, Image, TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useSafeAreaInsets } from 'react-native-safe-area-context';
 
-import { usePlayer, usePlaybackStatus } from './PlayerContext';
+import { usePlayer, usePlaybackStatus, useSleepTimerRemaining } from './PlayerContext';
 import { AppTheme } from './colors';
+import { formatCountdown } from './sleepTimer';
 
 function MiniPlayerComponent({ onPlayerPress }) {
   // Use both hooks: one for stable data, one for frequent updates
-  const { currentTrack, isPlaying, pauseTrack, resumeTrack } = usePlayer();
+  const { currentTrack, isPlaying, pauseTrack, resumeTrack, sleepTimer } = usePlayer();
   const playbackStatus = usePlaybackStatus();
+  const sleepTimerRemaining = useSleepTimerRemaining();
   
   const insets = useSafeAreaInsets();
 
@@ -29,6 +31,14 @@ function MiniPlayerComponent({ onPlayerPress }) {
           <Text style={styles.name} numberOfLines={1}>{currentTrack.name}</Text>
           <Text style={styles.artist} numberOfLines={1}>{currentTrack.artists?.join(', ')}</Text>
         </View>
+        {sleepTimer && (
+          <View style={styles.sleepTimer}>
+            <Ionicons name="moon" size={14} color={AppTheme.colors.primary} />
+            {sleepTimerRemaining != null && (
+              <Text style={styles.sleepTimerText}>{formatCountdown(sleepTimerRemaining)}</Text>
+            )}
+          </View>
+        )}
         <TouchableOpacity onPress={isPlaying ? pauseTrack : resumeTrack} style={styles.button}>
           <Ionicons name={isPlaying ? 'pause' : 'play'} size={28} color={AppTheme.colors.text} />
         </TouchableOpacity>
@@ -81,6 +91,16 @@ const styles = StyleSheet.create({
     color: '#A0A0A0',
     fontSize: 12,
   },
+  sleepTimer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 4,
+  },
+  sleepTimerText: {
+    color: AppTheme.colors.primary,
+    fontSize: 12,
+    marginLeft: 4,
+  },
   button: {
     padding: 8,
   },
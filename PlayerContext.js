@@ -1,26 +1,129 @@
 import React, { createContext, useState, useContext, useRef, useEffect, useMemo } from 'react';
 import { Audio, InterruptionModeAndroid, InterruptionModeIOS } from 'expo-av';
 
-import { Alert } from 'react-native';
+import { Alert, AppState } from 'react-native';
 import * as storage from './storage';
 import DownloadManager from './downloader';
+import { SleepTimerMode, createSleepTimer, tickSleepTimer, stopsAtTrackEnd, getSleepFadeVolume } from './sleepTimer';
+import { createListenSession, tickListenSession, shouldCountPlay } from './listeningStats';
+import { getAutoplayRecommendations } from './recommendations';
 
 // The contexts are split for performance:
 // PlayerContext holds stable data and functions.
 // PlaybackStatusContext holds frequently updated status objects.
+// SleepTimerContext holds the sleep timer countdown, which changes once a second.
 const PlayerContext = createContext();
 const PlaybackStatusContext = createContext(null);
+const SleepTimerContext = createContext(null);
 
 export const usePlayer = () => useContext(PlayerContext);
 export const usePlaybackStatus = () => useContext(PlaybackStatusContext);
+export const useSleepTimerRemaining = () => useContext(SleepTimerContext);
+
+// How often the playback position is written to the saved session while playing.
+const SESSION_SAVE_INTERVAL_MS = 5000;
+// Status updates drive crossfades, so they need to arrive more often than the default 500ms.
+const STATUS_UPDATE_INTERVAL_MS = 250;
+export const MAX_CROSSFADE_SECONDS = 12;
+export const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2];
+// Autoplay seeds recommendations from this many tracks at the end of the queue,
+// and appends at most this many downloaded tracks at a time.
+const AUTOPLAY_SEED_COUNT = 5;
+const AUTOPLAY_BATCH_SIZE = 10;
+
+export const RepeatMode = {
+  OFF: 'off',
+  ALL: 'all',
+  ONE: 'one',
+};
+
+/**
+ * Builds the order in which queue indices are played. With shuffle off this is
+ * simply 0..n-1. With shuffle on, the track at `startIndex` is kept first and
+ * the rest are randomised once, so next/previous walk a stable shuffled order.
+ */
+const buildPlayOrder = (length, startIndex, shuffle) => {
+  const order = Array.from({ length }, (_, i) => i);
+  if (!shuffle) return order;
+
+  const rest = order.filter(i => i !== startIndex);
+  for (let i = rest.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [rest[i], rest[j]] = [rest[j], rest[i]];
+  }
+  return startIndex >= 0 && startIndex < length ? [startIndex, ...rest] : rest;
+};
 
 export const PlayerProvider = ({ children }) => {
   const [currentTrack, setCurrentTrack] = useState(null);
   const [queue, setQueue] = useState([]);
   const [queueIndex, setQueueIndex] = useState(-1);
+  const [playOrder, setPlayOrder] = useState([]); // Queue indices in the order they will play
   const [isPlaying, setIsPlaying] = useState(false); // State to track play/pause status
   const [playbackStatus, setPlaybackStatus] = useState(null);
+  const [shuffleEnabled, setShuffleEnabled] = useState(false);
+  const [repeatMode, setRepeatModeState] = useState(RepeatMode.OFF);
+  const [crossfadeSeconds, setCrossfadeSecondsState] = useState(0);
+  const [gaplessEnabled, setGaplessEnabledState] = useState(true);
+  const [autoplayEnabled, setAutoplayEnabledState] = useState(false);
+
+  // Two player slots: soundRef is always the track being heard, standbySoundRef holds the
+  // preloaded next track (or the previous one while it fades out during a crossfade).
   const soundRef = useRef(new Audio.Sound());
+  const standbySoundRef = useRef(new Audio.Sound());
+  const preloadedRef = useRef(null); // { queueIndex, trackId, playable, originalTrack }
+  const preloadRequestRef = useRef(0);
+  const fadingOutRef = useRef(null); // { sound, startPosition, length } while a crossfade runs
+  const crossfadeMsRef = useRef(0);
+  const gaplessRef = useRef(true);
+  const autoplayRef = useRef(false);
+  const autoplayRequestRef = useRef(null); // The in-flight autoplay extension, if any
+
+  // Sleep timer: advanced by status updates only (see sleepTimer.js). sleepVolumeRef is the
+  // fade-out factor every volume change in this file is scaled by.
+  const [sleepTimer, setSleepTimerState] = useState(null);
+  const [sleepTimerRemaining, setSleepTimerRemaining] = useState(null);
+  const sleepTimerRef = useRef(null);
+  const sleepVolumeRef = useRef(1);
+
+  // Playback rate: a default rate for all tracks, overridden by rates remembered per track.
+  const [playbackRate, setPlaybackRateState] = useState(1);
+  const [isTrackRateRemembered, setIsTrackRateRemembered] = useState(false);
+  const [preservePitch, setPreservePitchState] = useState(true);
+  const defaultRateRef = useRef(1);
+  const trackRatesRef = useRef({});
+  const preservePitchRef = useRef(true);
+
+  // Listening stats for the track being heard (see listeningStats.js)
+  const listenSessionRef = useRef(null);
+
+  // The status listener is attached once on mount, so anything it reaches
+  // (e.g. playNextTrack) must read the live queue from refs, not from state.
+  const queueRef = useRef([]);
+  const queueIndexRef = useRef(-1);
+  const playOrderRef = useRef([]);
+  const shuffleRef = useRef(false);
+  const repeatModeRef = useRef(RepeatMode.OFF);
+
+  // Session persistence: nothing is saved until the previous session has been restored,
+  // otherwise the empty initial state would overwrite it.
+  const isSessionRestoredRef = useRef(false);
+  const positionRef = useRef(0);
+  const lastSessionSaveRef = useRef(0);
+
+  const updateQueueState = (newQueue, newIndex, newOrder) => {
+    queueRef.current = newQueue;
+    queueIndexRef.current = newIndex;
+    playOrderRef.current = newOrder;
+    setQueue(newQueue);
+    setPlayOrder(newOrder);
+    setQueueIndex(newIndex);
+  };
+
+  const updateQueueIndex = (newIndex) => {
+    queueIndexRef.current = newIndex;
+    setQueueIndex(newIndex);
+  };
 
   // --- Core Setup ---
 
@@ -36,15 +139,63 @@ export const PlayerProvider = ({ children }) => {
       playThroughEarpieceAndroid: false
     });
 
-    // Attach the status update listener
-    soundRef.current.setOnPlaybackStatusUpdate(onPlaybackStatusUpdate);
+    // Attach the status update listener to both slots. Each update is routed by
+    // whichever role the slot currently has.
+    [soundRef.current, standbySoundRef.current].forEach(sound => {
+      sound.setOnPlaybackStatusUpdate(status => handleSlotStatus(sound, status));
+    });
+
+    storage.getSettings().then(settings => {
+      crossfadeMsRef.current = settings.crossfadeSeconds * 1000;
+      gaplessRef.current = settings.gaplessPlayback;
+      defaultRateRef.current = settings.playbackRate;
+      preservePitchRef.current = settings.preservePitch;
+      autoplayRef.current = settings.autoplay;
+      setCrossfadeSecondsState(settings.crossfadeSeconds);
+      setGaplessEnabledState(settings.gaplessPlayback);
+      setPlaybackRateState(settings.playbackRate);
+      setPreservePitchState(settings.preservePitch);
+      setAutoplayEnabledState(settings.autoplay);
+    });
+    storage.getTrackPlaybackRates().then(rates => {
+      trackRatesRef.current = rates;
+    });
+
+    restoreSession().finally(() => {
+      isSessionRestoredRef.current = true;
+    });
+
+    // Snapshot the session whenever the app leaves the foreground, in case it gets killed
+    const appStateSubscription = AppState.addEventListener('change', (nextState) => {
+      if (nextState !== 'active') {
+        saveSession();
+        flushListening();
+      }
+    });
 
     // Cleanup function to unload the sound when the provider is unmounted
     return () => {
+      appStateSubscription.remove();
       soundRef.current?.unloadAsync();
+      standbySoundRef.current?.unloadAsync();
     };
   }, []);
 
+  // Save the session and keep the right next track preloaded whenever the queue or playback modes change
+  useEffect(() => {
+    saveSession();
+    preloadNext();
+  }, [queue, queueIndex, shuffleEnabled, repeatMode, crossfadeSeconds, gaplessEnabled]);
+
+  const handleSlotStatus = (sound, status) => {
+    if (fadingOutRef.current?.sound === sound) {
+      updateCrossfade(status);
+    } else if (sound === soundRef.current) {
+      onPlaybackStatusUpdate(status);
+    }
+    // Otherwise this is the preloaded standby slot, which has nothing to report yet.
+  };
+
   /**
    * This is the central function that receives status updates from the audio object.
    * It is the single source of truth for the playback state.
@@ -54,9 +205,20 @@ export const PlayerProvider = ({ children }) => {
     if (status.isLoaded) {
       // Update the simple isPlaying state for UI components
       setIsPlaying(status.isPlaying);
-      // Automatically play the next track if the current one finished
+      positionRef.current = status.positionMillis;
+      updateListening(status);
+      if (status.isPlaying && Date.now() - lastSessionSaveRef.current >= SESSION_SAVE_INTERVAL_MS) {
+        saveSession();
+      }
+      if (sleepTimerRef.current && updateSleepTimer(status)) {
+        // The sleep timer fired and paused playback, so don't move on to another track
+        return;
+      }
+      // Automatically move on (or repeat) when the current track finishes
       if (status.didJustFinish) {
-        playNextTrack();
+        handleTrackFinished();
+      } else if (shouldStartCrossfade(status)) {
+        startCrossfade(status);
       }
     } else {
       // If no track is loaded, it's not playing
@@ -64,25 +226,684 @@ export const PlayerProvider = ({ children }) => {
     }
   };
 
+  // --- Session Persistence ---
+
+  /**
+   * Writes the current queue, position and playback modes to storage.
+   * Only track ids are stored; the full records are looked up again on restore.
+   */
+  const saveSession = async () => {
+    if (!isSessionRestoredRef.current) return;
+    lastSessionSaveRef.current = Date.now();
+
+    if (queueRef.current.length === 0) {
+      await storage.clearPlaybackSession();
+      return;
+    }
+    await storage.savePlaybackSession({
+      trackIds: queueRef.current.map(t => t.id),
+      queueIndex: queueIndexRef.current,
+      positionMillis: positionRef.current,
+      playOrder: playOrderRef.current,
+      shuffleEnabled: shuffleRef.current,
+      repeatMode: repeatModeRef.current,
+    });
+  };
+
+  /**
+   * Restores the last saved session, paused at the saved position. Tracks that are no
+   * longer downloaded are dropped and the saved indices are remapped around them.
+   */
+  const restoreSession = async () => {
+    const session = await storage.getPlaybackSession();
+    if (!session?.trackIds?.length) return;
+
+    const localTracks = await storage.getDownloadedTracks();
+    const indexMap = new Map(); // saved queue index -> restored queue index
+    const restoredQueue = [];
+    session.trackIds.forEach((trackId, savedIndex) => {
+      const track = localTracks[trackId];
+      if (track?.fileUri) {
+        indexMap.set(savedIndex, restoredQueue.length);
+        restoredQueue.push(track);
+      }
+    });
+    if (restoredQueue.length === 0) return;
+
+    // The user may have started something while we were reading storage
+    if (queueRef.current.length > 0) return;
+
+    const currentWasKept = indexMap.has(session.queueIndex);
+    const restoredIndex = currentWasKept ? indexMap.get(session.queueIndex) : 0;
+    const shuffle = !!session.shuffleEnabled;
+    const savedOrder = (session.playOrder || []).filter(i => indexMap.has(i)).map(i => indexMap.get(i));
+    const restoredOrder = savedOrder.length === restoredQueue.length
+      ? savedOrder
+      : buildPlayOrder(restoredQueue.length, restoredIndex, shuffle);
+
+    shuffleRef.current = shuffle;
+    setShuffleEnabled(shuffle);
+    setRepeatMode(session.repeatMode);
+    updateQueueState(restoredQueue, restoredIndex, restoredOrder);
+
+    const track = restoredQueue[restoredIndex];
+    const positionMillis = currentWasKept ? session.positionMillis || 0 : 0;
+    try {
+      await soundRef.current.loadAsync(
+        { uri: track.fileUri },
+        { shouldPlay: false, positionMillis, progressUpdateIntervalMillis: STATUS_UPDATE_INTERVAL_MS, ...getRateOptions(track.id) }
+      );
+      positionRef.current = positionMillis;
+      setCurrentTrack(track);
+      publishRate(track.id);
+      beginListening(track);
+      console.log(`[Player] Restored session at "${track.name}".`);
+      preloadNext();
+    } catch (e) {
+      console.error("Failed to restore playback session", e);
+    }
+  };
+
   // --- Internal Playback Functions ---
 
   /**
-   * Loads a track into the player and starts playback.
-   * This is used for internal navigation (e.g., next/previous).
+   * Works out where a track can be played from: the local file if it's downloaded,
+   * otherwise a remote URL resolved through the downloader so it can be streamed.
+   * @returns {Promise<{track: object, uri: string, stream: object|null}|null>} null if
+   * the track can't be played yet.
    */
-  const loadAndPlay = async (track) => {
-    if (!track?.fileUri) {
-        console.error("Cannot play track: file URI is missing.", track);
-        return;
+  const resolvePlayableTrack = async (trackObject) => {
+    const localTracks = await storage.getDownloadedTracks();
+    const localTrackData = localTracks[trackObject.id];
+    if (localTrackData?.fileUri) {
+      return { track: localTrackData, uri: localTrackData.fileUri, stream: null };
     }
+
+    try {
+      const stream = await DownloadManager.resolveStream(trackObject);
+      if (!stream) return null;
+      // Shape the Spotify object like a local record so the player UI can treat both the same
+      const streamingTrack = {
+        id: trackObject.id,
+        name: trackObject.name,
+        artists: (trackObject.artists || []).map(a => (typeof a === 'string' ? a : a.name)),
+        duration_ms: trackObject.duration_ms || stream.downloadResult.durationMs || 0,
+        thumbnailUri: trackObject.album?.images?.[0]?.url || null,
+        lrcUri: null,
+        isStreaming: true,
+      };
+      return { track: streamingTrack, uri: stream.downloadResult.downloadUrl, stream };
+    } catch (e) {
+      console.error(`Failed to resolve a stream for "${trackObject.name}"`, e);
+      return null;
+    }
+  };
+
+  // Used when none of the tracks that were tried can be played locally or streamed.
+  const queueForDownload = async (tracks) => {
+    Alert.alert(
+      tracks.length === 1 ? "Track Queued for Download" : "Tracks Queued for Download",
+      tracks.length === 1
+        ? `"${tracks[0].name}" can't be streamed yet, so it will be downloaded. You can check the progress in the Downloads tab.`
+        : `None of these ${tracks.length} tracks can be streamed yet, so they will be downloaded. You can check the progress in the Downloads tab.`
+    );
+    await DownloadManager.enqueueTracks(tracks);
+  };
+
+  /**
+   * Walks the play order from a queue index until it finds a track that can be played.
+   * Tracks that can't (not downloaded and not streamable yet) are put on the download queue
+   * and skipped, so one missing track doesn't stop the whole queue.
+   * @param {number} startIndex - The queue index to try first.
+   * @param {number} step - 1 to move forwards through the play order, -1 to move backwards.
+   * @param {Array<object>} [queue] - Defaults to the current queue.
+   * @param {Array<number>} [order] - The play order for `queue`.
+   * @returns {Promise<{index: number, track: object, playable: object}|null>} null if
+   * nothing could be played; the user is told the tracks were queued for download.
+   */
+  const findPlayableFrom = async (startIndex, step, queue = queueRef.current, order = playOrderRef.current) => {
+    const skipped = [];
+    let index = startIndex;
+    // Bounded by the queue length, so repeat-all can't wrap around forever
+    for (let tried = 0; index !== -1 && tried < Math.max(order.length, 1); tried++) {
+      const track = queue[index];
+      if (!track?.id) break;
+      const playable = await resolvePlayableTrack(track);
+      if (playable) {
+        if (skipped.length > 0) {
+          console.log(`[Player] Skipped ${skipped.length} tracks that can't be played yet; they were queued for download.`);
+          DownloadManager.enqueueTracks(skipped);
+        }
+        return { index, track, playable };
+      }
+      skipped.push(track);
+      index = getAdjacentIndex(step, index, order);
+    }
+    if (skipped.length > 0) await queueForDownload(skipped);
+    return null;
+  };
+
+  /**
+   * Starts playing an already resolved track in the active slot.
+   */
+  const startPlayback = async (playable, originalTrack) => {
+    await finishCrossfade();
     try {
       await soundRef.current.unloadAsync();
-      await soundRef.current.loadAsync({ uri: track.fileUri }, { shouldPlay: true });
-      setCurrentTrack(track);
-      await storage.logSongPlay(track.id);
+      await soundRef.current.loadAsync(
+        { uri: playable.uri },
+        {
+          shouldPlay: true,
+          volume: sleepVolumeRef.current,
+          progressUpdateIntervalMillis: STATUS_UPDATE_INTERVAL_MS,
+          ...getRateOptions(playable.track.id),
+        }
+      );
     } catch (e) {
       console.error("Failed to load and play track", e);
       Alert.alert("Playback Error", "Could not play the selected track.");
+      return;
+    }
+    await onTrackStarted(playable, originalTrack);
+  };
+
+  /**
+   * Bookkeeping for whenever a new track becomes audible, however it got there.
+   * Streamed tracks are optionally saved to storage in the background.
+   */
+  const onTrackStarted = async ({ track, stream }, originalTrack) => {
+    setCurrentTrack(track);
+    publishRate(track.id);
+    preloadNext();
+    // Fetch the autoplay tracks while the last one plays, so they can be preloaded in time
+    if (shouldAutoplay() && isLastInPlayOrder()) {
+      extendQueueWithAutoplay();
+    }
+    await beginListening(track);
+
+    if (stream) {
+      const { saveStreamedTracks } = await storage.getSettings();
+      if (saveStreamedTracks) {
+        DownloadManager.saveStreamedTrack(originalTrack);
+      }
+    }
+  };
+
+  // --- Listening Stats ---
+
+  /**
+   * Starts accounting listening time for a new track, closing off the previous one.
+   */
+  const beginListening = async (track) => {
+    await finalizeListening();
+    listenSessionRef.current = createListenSession(track.id, track.duration_ms);
+  };
+
+  const updateListening = (status) => {
+    if (!listenSessionRef.current) return;
+    const session = tickListenSession(listenSessionRef.current, status, Date.now());
+    if (shouldCountPlay(session)) {
+      listenSessionRef.current = { ...session, isPlayCounted: true, unsavedMs: 0 };
+      storage.recordListening(session.trackId, { listenedMs: session.unsavedMs, countPlay: true });
+    } else {
+      listenSessionRef.current = session;
+    }
+  };
+
+  // Writes listening time gathered so far without ending the session (e.g. when backgrounded).
+  const flushListening = async () => {
+    const session = listenSessionRef.current;
+    if (!session || session.unsavedMs === 0) return;
+    listenSessionRef.current = { ...session, unsavedMs: 0 };
+    await storage.recordListening(session.trackId, { listenedMs: session.unsavedMs });
+  };
+
+  /**
+   * Ends the current session. A track that was listened to but left before the play
+   * threshold is recorded as a skip.
+   */
+  const finalizeListening = async () => {
+    const session = listenSessionRef.current;
+    if (!session) return;
+    listenSessionRef.current = null;
+    await storage.recordListening(session.trackId, {
+      listenedMs: session.unsavedMs,
+      countSkip: !session.isPlayCounted && session.listenedMs > 0,
+    });
+  };
+
+  // --- Preloading, Gapless & Crossfade ---
+
+  const isPreloaded = (index) => {
+    const preloaded = preloadedRef.current;
+    return !!preloaded && preloaded.queueIndex === index && queueRef.current[index]?.id === preloaded.trackId;
+  };
+
+  /**
+   * Loads the next track in the play order into the standby slot, so it can start
+   * without the unload/load gap. Only used when gapless playback or crossfade is on.
+   */
+  const preloadNext = async () => {
+    if (!gaplessRef.current && crossfadeMsRef.current === 0) return;
+    if (repeatModeRef.current === RepeatMode.ONE) return;
+    // The standby slot is busy fading out the previous track
+    if (fadingOutRef.current) return;
+
+    const nextIndex = getAdjacentIndex(1);
+    const nextTrack = queueRef.current[nextIndex];
+    if (!nextTrack || isPreloaded(nextIndex)) return;
+
+    const requestId = ++preloadRequestRef.current;
+    preloadedRef.current = null;
+    const playable = await resolvePlayableTrack(nextTrack);
+    // A newer preload (or a track change) superseded this one while it was resolving
+    if (!playable || requestId !== preloadRequestRef.current || fadingOutRef.current) return;
+
+    try {
+      const standby = standbySoundRef.current;
+      await standby.unloadAsync();
+      await standby.loadAsync(
+        { uri: playable.uri },
+        {
+          shouldPlay: false,
+          volume: 1,
+          progressUpdateIntervalMillis: STATUS_UPDATE_INTERVAL_MS,
+          ...getRateOptions(nextTrack.id),
+        }
+      );
+      if (requestId !== preloadRequestRef.current) return;
+      preloadedRef.current = { queueIndex: nextIndex, trackId: nextTrack.id, playable, originalTrack: nextTrack };
+      console.log(`[Player] Preloaded "${playable.track.name}".`);
+    } catch (e) {
+      console.warn("Failed to preload the next track", e);
+    }
+  };
+
+  /**
+   * Swaps the two slots so the preloaded track becomes the active one.
+   * @returns {object} The preloaded entry that is now active.
+   */
+  const swapToPreloaded = () => {
+    const preloaded = preloadedRef.current;
+    preloadedRef.current = null;
+    preloadRequestRef.current++;
+
+    const outgoing = soundRef.current;
+    soundRef.current = standbySoundRef.current;
+    standbySoundRef.current = outgoing;
+    updateQueueIndex(preloaded.queueIndex);
+    return preloaded;
+  };
+
+  /**
+   * Starts the preloaded next track immediately and drops the old one (gapless).
+   */
+  const playPreloaded = async () => {
+    await finishCrossfade();
+    const preloaded = swapToPreloaded();
+    try {
+      await soundRef.current.setVolumeAsync(sleepVolumeRef.current);
+      await soundRef.current.playAsync();
+    } catch (e) {
+      console.error("Failed to start the preloaded track", e);
+    }
+    standbySoundRef.current.unloadAsync();
+    await onTrackStarted(preloaded.playable, preloaded.originalTrack);
+  };
+
+  const shouldStartCrossfade = (status) => {
+    const crossfadeMs = crossfadeMsRef.current;
+    if (crossfadeMs === 0 || fadingOutRef.current || !status.isPlaying || !status.durationMillis) return false;
+    if (repeatModeRef.current === RepeatMode.ONE) return false;
+    // Very short tracks would spend most of their time fading
+    if (status.durationMillis < crossfadeMs * 2) return false;
+    if (status.durationMillis - status.positionMillis > crossfadeMs) return false;
+    // The sleep timer is about to stop playback at the end of this track
+    if (sleepTimerRef.current && stopsAtTrackEnd(sleepTimerRef.current, isLastInPlayOrder())) return false;
+    return isPreloaded(getAdjacentIndex(1));
+  };
+
+  /**
+   * Starts the preloaded next track silently and fades between the two. The fade itself
+   * is driven by the outgoing track's status updates in updateCrossfade.
+   */
+  const startCrossfade = async (status) => {
+    const outgoing = soundRef.current;
+    fadingOutRef.current = {
+      sound: outgoing,
+      startPosition: status.positionMillis,
+      length: Math.max(status.durationMillis - status.positionMillis, 1),
+    };
+    const preloaded = swapToPreloaded();
+    try {
+      await soundRef.current.setVolumeAsync(0);
+      await soundRef.current.playAsync();
+    } catch (e) {
+      console.error("Failed to start crossfade", e);
+      await finishCrossfade();
+    }
+    await onTrackStarted(preloaded.playable, preloaded.originalTrack);
+  };
+
+  const updateCrossfade = async (status) => {
+    const fade = fadingOutRef.current;
+    if (!status.isLoaded || status.didJustFinish) {
+      await finishCrossfade();
+      return;
+    }
+    const progress = Math.min(Math.max((status.positionMillis - fade.startPosition) / fade.length, 0), 1);
+    try {
+      await fade.sound.setVolumeAsync((1 - progress) * sleepVolumeRef.current);
+      await soundRef.current.setVolumeAsync(progress * sleepVolumeRef.current);
+    } catch (e) {
+      // Volume changes can race with unloading; the next update or the finish handles it
+    }
+  };
+
+  /**
+   * Ends a running crossfade right away: the old track is unloaded and the new one
+   * goes to full volume. Safe to call when no crossfade is running.
+   */
+  const finishCrossfade = async () => {
+    const fade = fadingOutRef.current;
+    if (!fade) return;
+    fadingOutRef.current = null;
+    try {
+      await fade.sound.unloadAsync();
+      await soundRef.current.setVolumeAsync(sleepVolumeRef.current);
+    } catch (e) {
+      console.warn("Failed to finish crossfade cleanly", e);
+    }
+    preloadNext();
+  };
+
+  /**
+   * Plays the queue item at an index, or the first playable one after it in the direction
+   * of `step`. This is used for internal navigation (e.g., next/previous).
+   * @returns {Promise<boolean>} Whether a track started playing.
+   */
+  const playFromIndex = async (index, step = 1) => {
+    const found = await findPlayableFrom(index, step);
+    if (!found) return false;
+    updateQueueIndex(found.index);
+    await startPlayback(found.playable, found.track);
+    return true;
+  };
+
+  /**
+   * Finds the queue index that comes before/after the current one (or `fromIndex`) in the
+   * play order. Returns -1 when the edge of the order is reached and repeat is off.
+   */
+  const getAdjacentIndex = (step, fromIndex = queueIndexRef.current, order = playOrderRef.current) => {
+    if (order.length === 0) return -1;
+
+    const position = order.indexOf(fromIndex);
+    const nextPosition = position + step;
+    if (nextPosition >= 0 && nextPosition < order.length) {
+      return order[nextPosition];
+    }
+    if (repeatModeRef.current === RepeatMode.OFF) return -1;
+    // Wrap around for repeat-all (and manual skips in repeat-one)
+    return order[(nextPosition + order.length) % order.length];
+  };
+
+  // Unlike getAdjacentIndex, this ignores repeat: it's about the end of the queue itself.
+  const isLastInPlayOrder = () => {
+    const order = playOrderRef.current;
+    return order.length > 0 && order.indexOf(queueIndexRef.current) === order.length - 1;
+  };
+
+  // --- Autoplay ---
+
+  // Repeat already keeps the music going, and a sleep timer set for the end of the
+  // queue means the user wants it to stop there.
+  const shouldAutoplay = () =>
+    autoplayRef.current &&
+    repeatModeRef.current === RepeatMode.OFF &&
+    sleepTimerRef.current?.mode !== SleepTimerMode.END_OF_QUEUE;
+
+  /**
+   * Appends downloaded recommendations, seeded from the last few queue items, to the queue.
+   * Recommendations that aren't downloaded yet are put on the download queue instead, so
+   * they're available the next time round. Concurrent calls share one request.
+   * @returns {Promise<boolean>} Whether any tracks were added.
+   */
+  const extendQueueWithAutoplay = () => {
+    if (!autoplayRequestRef.current) {
+      autoplayRequestRef.current = fetchAutoplayTracks().finally(() => {
+        autoplayRequestRef.current = null;
+      });
+    }
+    return autoplayRequestRef.current;
+  };
+
+  const fetchAutoplayTracks = async () => {
+    const seedTrackIds = queueRef.current.slice(-AUTOPLAY_SEED_COUNT).map(t => t.id);
+    if (seedTrackIds.length === 0) return false;
+
+    try {
+      const { downloaded, notDownloaded } = await getAutoplayRecommendations(
+        seedTrackIds,
+        new Set(queueRef.current.map(t => t.id))
+      );
+      // Only a batch's worth is downloaded, so one autoplay run can't flood the download queue
+      const tracksToDownload = notDownloaded.slice(0, AUTOPLAY_BATCH_SIZE);
+      if (tracksToDownload.length > 0) await DownloadManager.enqueueTracks(tracksToDownload);
+
+      // The queue may have changed while the recommendations were loading
+      const currentQueue = queueRef.current;
+      const queuedIds = new Set(currentQueue.map(t => t.id));
+      const tracks = downloaded.filter(t => !queuedIds.has(t.id)).slice(0, AUTOPLAY_BATCH_SIZE);
+      if (tracks.length === 0 || currentQueue.length === 0) return false;
+
+      const start = currentQueue.length;
+      updateQueueState(
+        [...currentQueue, ...tracks],
+        queueIndexRef.current,
+        [...playOrderRef.current, ...tracks.map((_, i) => start + i)]
+      );
+      console.log(`[Player] Autoplay added ${tracks.length} tracks (${tracksToDownload.length} queued for download).`);
+      return true;
+    } catch (e) {
+      console.error('[Player] Autoplay could not fetch recommendations.', e);
+      return false;
+    }
+  };
+
+  // --- Playback Rate ---
+
+  const getRateForTrack = (trackId) => trackRatesRef.current[trackId] ?? defaultRateRef.current;
+
+  // The rate-related initial status for loadAsync, so every load keeps the chosen rate.
+  const getRateOptions = (trackId) => ({
+    rate: getRateForTrack(trackId),
+    shouldCorrectPitch: preservePitchRef.current,
+    pitchCorrectionQuality: Audio.PitchCorrectionQuality.High,
+  });
+
+  const publishRate = (trackId) => {
+    setPlaybackRateState(getRateForTrack(trackId));
+    setIsTrackRateRemembered(trackRatesRef.current[trackId] != null);
+  };
+
+  // Re-applies the rate to both slots after a change, since the standby slot may be preloaded.
+  const applyRates = async () => {
+    const currentTrackId = queueRef.current[queueIndexRef.current]?.id;
+    const slots = [[soundRef.current, currentTrackId], [standbySoundRef.current, preloadedRef.current?.trackId]];
+    for (const [sound, trackId] of slots) {
+      if (!trackId) continue;
+      try {
+        await sound.setRateAsync(getRateForTrack(trackId), preservePitchRef.current, Audio.PitchCorrectionQuality.High);
+      } catch (e) {
+        // The slot isn't loaded; it picks up the rate on its next load
+      }
+    }
+  };
+
+  const removeTrackRate = async (trackId) => {
+    if (!trackId || trackRatesRef.current[trackId] == null) return;
+    const { [trackId]: _forgotten, ...rest } = trackRatesRef.current;
+    trackRatesRef.current = rest;
+    await storage.setTrackPlaybackRate(trackId, null);
+  };
+
+  /**
+   * Changes the playback speed (0.5x to 2x).
+   * @param {number} rate - The new rate.
+   * @param {{rememberForTrack: boolean}} [options] - With rememberForTrack, the rate only applies
+   * to the current track and is used again whenever it plays. Otherwise it becomes the default
+   * rate, and any rate remembered for the current track is forgotten.
+   */
+  const setPlaybackRate = async (rate, { rememberForTrack = false } = {}) => {
+    const clamped = Math.min(Math.max(rate, PLAYBACK_RATES[0]), PLAYBACK_RATES[PLAYBACK_RATES.length - 1]);
+    const currentTrackId = queueRef.current[queueIndexRef.current]?.id;
+
+    if (rememberForTrack && currentTrackId) {
+      trackRatesRef.current = { ...trackRatesRef.current, [currentTrackId]: clamped };
+      await storage.setTrackPlaybackRate(currentTrackId, clamped);
+    } else {
+      defaultRateRef.current = clamped;
+      await storage.updateSettings({ playbackRate: clamped });
+      await removeTrackRate(currentTrackId);
+    }
+    publishRate(currentTrackId);
+    await applyRates();
+  };
+
+  /**
+   * Forgets the rate remembered for the current track, which goes back to the default rate.
+   * The default rate itself is left alone.
+   */
+  const forgetTrackRate = async () => {
+    const currentTrackId = queueRef.current[queueIndexRef.current]?.id;
+    await removeTrackRate(currentTrackId);
+    publishRate(currentTrackId);
+    await applyRates();
+  };
+
+  const setPreservePitch = async (enabled) => {
+    preservePitchRef.current = enabled;
+    setPreservePitchState(enabled);
+    await storage.updateSettings({ preservePitch: enabled });
+    await applyRates();
+  };
+
+  // --- Sleep Timer ---
+
+  /**
+   * Starts (or replaces) the sleep timer.
+   * @param {string} mode - One of SleepTimerMode.
+   * @param {number} [durationMs] - Required for SleepTimerMode.DURATION.
+   */
+  const setSleepTimer = (mode, durationMs) => {
+    const timer = createSleepTimer(mode, durationMs);
+    sleepTimerRef.current = timer;
+    setSleepTimerState({ mode, durationMs: timer.remainingMs });
+    setSleepTimerRemaining(timer.remainingMs);
+  };
+
+  const cancelSleepTimer = async () => {
+    sleepTimerRef.current = null;
+    setSleepTimerState(null);
+    setSleepTimerRemaining(null);
+    if (sleepVolumeRef.current !== 1) {
+      sleepVolumeRef.current = 1;
+      await applyVolume();
+    }
+  };
+
+  // Applies the sleep fade factor to whatever is playing, unless a crossfade is managing volumes.
+  const applyVolume = async () => {
+    if (fadingOutRef.current) return;
+    try {
+      await soundRef.current.setVolumeAsync(sleepVolumeRef.current);
+    } catch (e) {
+      // Nothing is loaded; the next load picks up the volume anyway
+    }
+  };
+
+  /**
+   * Advances the sleep timer with a status update from the active slot, fading the volume
+   * over the last 30 seconds.
+   * @returns {boolean} true if the timer fired and playback was paused.
+   */
+  const updateSleepTimer = (status) => {
+    const isLastTrack = isLastInPlayOrder();
+    const { timer, remainingMs } = tickSleepTimer(sleepTimerRef.current, status, { now: Date.now(), isLastTrack });
+    sleepTimerRef.current = timer;
+
+    const finishedTrack = status.didJustFinish && stopsAtTrackEnd(timer, isLastTrack);
+    if (finishedTrack || (remainingMs != null && remainingMs <= 0)) {
+      console.log('[Player] Sleep timer finished. Pausing playback.');
+      sleepTimerRef.current = null;
+      setSleepTimerState(null);
+      setSleepTimerRemaining(null);
+      soundRef.current.pauseAsync()
+        .catch(() => {})
+        .finally(() => {
+          // Restore the volume so the next play isn't silent
+          sleepVolumeRef.current = 1;
+          applyVolume();
+          saveSession();
+        });
+      return true;
+    }
+
+    // Only publish the countdown when the displayed second changes
+    setSleepTimerRemaining(previous =>
+      previous != null && remainingMs != null && Math.ceil(previous / 1000) === Math.ceil(remainingMs / 1000)
+        ? previous
+        : remainingMs
+    );
+
+    const volume = getSleepFadeVolume(remainingMs);
+    if (Math.abs(volume - sleepVolumeRef.current) >= 0.01 || (volume === 1 && sleepVolumeRef.current !== 1)) {
+      sleepVolumeRef.current = volume;
+      applyVolume();
+    }
+    return false;
+  };
+
+  const handleTrackFinished = async () => {
+    try {
+      if (repeatModeRef.current === RepeatMode.ONE) {
+        // Each repeat is a listen of its own
+        const track = queueRef.current[queueIndexRef.current];
+        if (track) await beginListening(track);
+        await soundRef.current.replayAsync();
+        return;
+      }
+      await playNextTrack();
+    } catch (e) {
+      console.error('[Player] Could not continue after the track finished.', e);
+    }
+  };
+
+  // --- Playback Settings ---
+
+  /**
+   * Sets the crossfade length in seconds (0 turns it off, max MAX_CROSSFADE_SECONDS).
+   */
+  const setCrossfadeSeconds = async (seconds) => {
+    const clamped = Math.min(Math.max(Math.round(seconds), 0), MAX_CROSSFADE_SECONDS);
+    crossfadeMsRef.current = clamped * 1000;
+    setCrossfadeSecondsState(clamped);
+    await storage.updateSettings({ crossfadeSeconds: clamped });
+  };
+
+  const setGaplessEnabled = async (enabled) => {
+    gaplessRef.current = enabled;
+    setGaplessEnabledState(enabled);
+    await storage.updateSettings({ gaplessPlayback: enabled });
+  };
+
+  const setAutoplayEnabled = async (enabled) => {
+    autoplayRef.current = enabled;
+    setAutoplayEnabledState(enabled);
+    await storage.updateSettings({ autoplay: enabled });
+    // Turned on during the last track, so top the queue up now rather than at the very end
+    if (shouldAutoplay() && isLastInPlayOrder()) {
+      extendQueueWithAutoplay();
     }
   };
 
@@ -90,35 +911,70 @@ export const PlayerProvider = ({ children }) => {
 
   /**
    * The main function to start playback from a list of tracks.
-   * It checks if the track is downloaded and plays it, or queues it for download.
+   * It plays the track from storage if it's downloaded, streams it if it isn't,
+   * and queues it for download if neither is possible. In that case playback starts
+   * from the next track in the list that can be played.
+   * @param {object} trackObject - The track to start with.
+   * @param {object[]} [tracklist] - The list to queue, e.g. the album or playlist the track is in.
+   * @param {number} [trackIndex] - The track's index in tracklist, for lists that hold it more than once.
    */
-  const playTrack = async (trackObject, tracklist = []) => {
+  const playTrack = async (trackObject, tracklist = [], trackIndex = -1) => {
     if (!trackObject?.id) return;
 
-    const localTracks = await storage.getDownloadedTracks();
-    const localTrackData = localTracks[trackObject.id];
-    console.log( localTrackData)
-    if (localTrackData?.fileUri) {
-      // Set the current queue and position
-      const newQueue = tracklist.length > 0 ? tracklist : [localTrackData];
-      const newIndex = newQueue.findIndex(t => t.id === trackObject.id);
-      setQueue(newQueue);
-      setQueueIndex(newIndex);
-      // Load and play the track
-      await loadAndPlay(localTrackData);
+    const candidates = tracklist.length > 0 ? tracklist : [trackObject];
+    const startIndex = candidates[trackIndex]?.id === trackObject.id
+      ? trackIndex
+      : Math.max(candidates.findIndex(t => t.id === trackObject.id), 0);
+    const newOrder = buildPlayOrder(candidates.length, startIndex, shuffleRef.current);
+    // The current queue is left alone unless something in the new one can be played
+    const found = await findPlayableFrom(startIndex, 1, candidates, newOrder);
+    if (!found) return;
+
+    // Set the current queue and position
+    const newQueue = tracklist.length > 0 ? tracklist : [found.playable.track];
+    updateQueueState(newQueue, found.index, newOrder);
+    // Load and play the track
+    await startPlayback(found.playable, found.track);
+  };
+  
+  /**
+   * Adds a single track to the current queue without replacing it, either right after
+   * the current track ('next') or at the very end ('end'). With shuffle on, the track
+   * is placed at the same spot in the play order. If nothing is playing yet, the track
+   * simply starts playing.
+   */
+  const insertIntoQueue = async (trackObject, position) => {
+    if (!trackObject?.id) return;
+
+    if (queueRef.current.length === 0 || queueIndexRef.current === -1) {
+      await playTrack(trackObject);
+      return;
+    }
+
+    const currentIndex = queueIndexRef.current;
+    const insertAt = position === 'next' ? currentIndex + 1 : queueRef.current.length;
+    const newQueue = [...queueRef.current];
+    // Tracks that aren't downloaded are resolved (and streamed) when they come up
+    newQueue.splice(insertAt, 0, trackObject);
+
+    const order = playOrderRef.current.map(i => (i >= insertAt ? i + 1 : i));
+    if (position === 'next') {
+      order.splice(order.indexOf(currentIndex) + 1, 0, insertAt);
     } else {
-      // If not downloaded, add to the download queue and notify the user
-      Alert.alert(
-        "Track Queued for Download",
-        `"${trackObject.name}" will be downloaded. You can check the progress in the Downloads tab.`
-      );
-      await DownloadManager.enqueueTrack(trackObject);
+      order.push(insertAt);
     }
+    updateQueueState(newQueue, currentIndex, order);
   };
-  
+
+  const playNext = (trackObject) => insertIntoQueue(trackObject, 'next');
+
+  const addToQueue = (trackObject) => insertIntoQueue(trackObject, 'end');
+
   const pauseTrack = async () => {
+    await finishCrossfade();
     if ((await soundRef.current.getStatusAsync()).isLoaded) {
       await soundRef.current.pauseAsync();
+      await saveSession();
     }
   };
 
@@ -135,29 +991,119 @@ export const PlayerProvider = ({ children }) => {
   };
 
   const playNextTrack = async () => {
-    if (queue.length > 0 && queueIndex < queue.length - 1) {
-      const nextIndex = queueIndex + 1;
-      setQueueIndex(nextIndex);
-      await loadAndPlay(queue[nextIndex]);
+    const nextIndex = getAdjacentIndex(1);
+    if (nextIndex !== -1 && isPreloaded(nextIndex)) {
+      await playPreloaded();
+    } else if (nextIndex !== -1 && await playFromIndex(nextIndex, 1)) {
+      // Playing the next track that could be played
+    } else if (shouldAutoplay() && await extendQueueWithAutoplay()) {
+      await playNextTrack();
     } else {
+      // The end of the queue was reached, so the session is over
+      await finalizeListening();
+      await finishCrossfade();
       await soundRef.current.unloadAsync();
+      preloadedRef.current = null;
+      preloadRequestRef.current++;
+      await standbySoundRef.current.unloadAsync();
       setCurrentTrack(null);
+      updateQueueState([], -1, []);
     }
   };
 
   const playPreviousTrack = async () => {
     const status = await soundRef.current.getStatusAsync();
-    // If track has been playing for < 3s and it's not the first track, go to previous.
-    // Otherwise, restart the current track.
-    if (status.isLoaded && status.positionMillis < 3000 && queueIndex > 0) {
-      const prevIndex = queueIndex - 1;
-      setQueueIndex(prevIndex);
-      await loadAndPlay(queue[prevIndex]);
+    // If track has been playing for < 3s and there is a previous track in the play order,
+    // go to it. Otherwise, restart the current track.
+    const prevIndex = getAdjacentIndex(-1);
+    if (status.isLoaded && status.positionMillis < 3000 && prevIndex !== -1) {
+      await playFromIndex(prevIndex, -1);
     } else {
       await seekTrack(0);
     }
   };
 
+  // --- Queue Editing ---
+
+  /**
+   * Moves an upcoming track within the queue. Positions are in play order (see playOrder), so
+   * with shuffle on only the play order changes. With shuffle off the queue itself is reordered.
+   */
+  const moveInQueue = (fromPosition, toPosition) => {
+    const order = [...playOrderRef.current];
+    if (fromPosition === toPosition) return;
+    if (fromPosition < 0 || fromPosition >= order.length || toPosition < 0 || toPosition >= order.length) return;
+
+    const [movedIndex] = order.splice(fromPosition, 1);
+    order.splice(toPosition, 0, movedIndex);
+
+    if (shuffleRef.current) {
+      updateQueueState(queueRef.current, queueIndexRef.current, order);
+      return;
+    }
+    const newQueue = order.map(i => queueRef.current[i]);
+    updateQueueState(newQueue, order.indexOf(queueIndexRef.current), newQueue.map((_, i) => i));
+  };
+
+  /**
+   * Removes a queue item. The currently playing track cannot be removed this way.
+   */
+  const removeFromQueue = (index) => {
+    const currentQueue = queueRef.current;
+    if (index < 0 || index >= currentQueue.length || index === queueIndexRef.current) return;
+
+    const newQueue = currentQueue.filter((_, i) => i !== index);
+    const remap = (i) => (i > index ? i - 1 : i);
+    const newOrder = playOrderRef.current.filter(i => i !== index).map(remap);
+    updateQueueState(newQueue, remap(queueIndexRef.current), newOrder);
+  };
+
+  /**
+   * Drops everything that would play after the current track.
+   */
+  const clearUpcoming = () => {
+    const order = playOrderRef.current;
+    const keptOrder = order.slice(0, order.indexOf(queueIndexRef.current) + 1);
+    const keptIndices = [...keptOrder].sort((a, b) => a - b);
+    const remap = (i) => keptIndices.indexOf(i);
+    const newQueue = keptIndices.map(i => queueRef.current[i]);
+    updateQueueState(newQueue, remap(queueIndexRef.current), keptOrder.map(remap));
+  };
+
+  /**
+   * Jumps straight to a queue item and starts playing it.
+   */
+  const skipTo = async (index) => {
+    if (!queueRef.current[index]) return;
+    await playFromIndex(index, 1);
+  };
+
+  /**
+   * Turns shuffle on or off. The current track stays where it is and a new
+   * play order is built for the rest of the queue.
+   */
+  const toggleShuffle = () => {
+    const enabled = !shuffleRef.current;
+    shuffleRef.current = enabled;
+    setShuffleEnabled(enabled);
+    const newOrder = buildPlayOrder(queueRef.current.length, queueIndexRef.current, enabled);
+    playOrderRef.current = newOrder;
+    setPlayOrder(newOrder);
+  };
+
+  const setRepeatMode = (mode) => {
+    if (!Object.values(RepeatMode).includes(mode)) return;
+    repeatModeRef.current = mode;
+    setRepeatModeState(mode);
+  };
+
+  // Cycles off -> all -> one -> off, matching the single repeat button in the UI.
+  const cycleRepeatMode = () => {
+    const modes = [RepeatMode.OFF, RepeatMode.ALL, RepeatMode.ONE];
+    const nextMode = modes[(modes.indexOf(repeatModeRef.current) + 1) % modes.length];
+    setRepeatMode(nextMode);
+  };
+
   /**
    * The value provided to the PlayerContext. We use useMemo to prevent
    * unnecessary re-renders of consumer components.
@@ -165,19 +1111,49 @@ export const PlayerProvider = ({ children }) => {
   const playerContextValue = useMemo(() => ({
     currentTrack,
     queue,
+    queueIndex,
+    playOrder,
     isPlaying, // Provide the isPlaying state to consumers
+    shuffleEnabled,
+    repeatMode,
     playTrack,
+    playNext,
+    addToQueue,
     pauseTrack,
     resumeTrack,
     seekTrack,
     playNextTrack,
     playPreviousTrack,
-  }), [currentTrack, queue, isPlaying]); // Add isPlaying to dependency array
+    toggleShuffle,
+    setRepeatMode,
+    cycleRepeatMode,
+    crossfadeSeconds,
+    gaplessEnabled,
+    setCrossfadeSeconds,
+    setGaplessEnabled,
+    autoplayEnabled,
+    setAutoplayEnabled,
+    playbackRate,
+    isTrackRateRemembered,
+    preservePitch,
+    setPlaybackRate,
+    forgetTrackRate,
+    setPreservePitch,
+    sleepTimer,
+    setSleepTimer,
+    cancelSleepTimer,
+    moveInQueue,
+    removeFromQueue,
+    clearUpcoming,
+    skipTo,
+  }), [currentTrack, queue, queueIndex, playOrder, isPlaying, shuffleEnabled, repeatMode, crossfadeSeconds, gaplessEnabled, autoplayEnabled, sleepTimer, playbackRate, isTrackRateRemembered, preservePitch]); // Add isPlaying to dependency array
 
   return (
     <PlayerContext.Provider value={playerContextValue}>
       <PlaybackStatusContext.Provider value={playbackStatus}>
-        {children}
+        <SleepTimerContext.Provider value={sleepTimerRemaining}>
+          {children}
+        </SleepTimerContext.Provider>
       </PlaybackStatusContext.Provider>
     </PlayerContext.Provider>
   );
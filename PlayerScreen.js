@@ -19,7 +19,11 @@ import * as FileSystem from 'expo-file-system';
 import { BlurView } from 'expo-blur';
 
 import { AppTheme } from './colors';
-import { usePlayer, usePlaybackStatus } from './PlayerContext';
+import { usePlayer, usePlaybackStatus, useSleepTimerRemaining, RepeatMode } from './PlayerContext';
+import UpNextPanel from './components/UpNextPanel';
+import SleepTimerSheet from './components/SleepTimerSheet';
+import PlaybackRateSheet, { formatRate } from './components/PlaybackRateSheet';
+import { formatCountdown } from './sleepTimer';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 
@@ -54,13 +58,20 @@ const parseLRC = (lrcContent) => {
 };
 
 export default function PlayerScreen({ isVisible, onClose }) {
-  const { currentTrack, isPlaying, pauseTrack, resumeTrack, seekTrack, playNextTrack, playPreviousTrack } = usePlayer();
+  const {
+    currentTrack, isPlaying, pauseTrack, resumeTrack, seekTrack, playNextTrack, playPreviousTrack,
+    shuffleEnabled, repeatMode, toggleShuffle, cycleRepeatMode, sleepTimer, playbackRate,
+  } = usePlayer();
   const playbackStatus = usePlaybackStatus();
+  const sleepTimerRemaining = useSleepTimerRemaining();
   
   const [lyrics, setLyrics] = useState([]);
   const [activeLyricIndex, setActiveLyricIndex] = useState(-1);
   const [isLoadingLyrics, setIsLoadingLyrics] = useState(false);
   const [lyricsContainerHeight, setLyricsContainerHeight] = useState(0); // State to hold the height of the lyrics view
+  const [isUpNextVisible, setIsUpNextVisible] = useState(false);
+  const [isSleepTimerVisible, setIsSleepTimerVisible] = useState(false);
+  const [isRateSheetVisible, setIsRateSheetVisible] = useState(false);
   const slideAnimation = useRef(new Animated.Value(SCREEN_HEIGHT)).current;
   const fadeAnimation = useRef(new Animated.Value(0)).current;
 
@@ -169,7 +180,7 @@ export default function PlayerScreen({ isVisible, onClose }) {
             <Ionicons name="chevron-down" size={32} color={AppTheme.colors.text} />
           </TouchableOpacity>
           <Text style={styles.headerTitle} numberOfLines={1}>{currentTrack.name}</Text>
-          <TouchableOpacity style={styles.headerButton}>
+          <TouchableOpacity onPress={() => setIsUpNextVisible(true)} style={styles.headerButton}>
             <Ionicons name="list" size={28} color={AppTheme.colors.text} />
           </TouchableOpacity>
         </View>
@@ -179,7 +190,32 @@ export default function PlayerScreen({ isVisible, onClose }) {
           <Text style={styles.artistName}>{currentTrack.artists?.join(', ')}</Text>
           <Slider style={styles.slider} minimumValue={0} maximumValue={playbackStatus?.durationMillis || 1} value={playbackStatus?.positionMillis || 0} onSlidingComplete={seekTrack} minimumTrackTintColor={AppTheme.colors.primary} maximumTrackTintColor={AppTheme.colors.border} thumbTintColor={AppTheme.colors.text} />
           <View style={styles.timeContainer}><Text style={styles.timeText}>{formatTime(playbackStatus?.positionMillis)}</Text><Text style={styles.timeText}>{formatTime(playbackStatus?.durationMillis)}</Text></View>
-          <View style={styles.controlsContainer}><TouchableOpacity onPress={playPreviousTrack}><Ionicons name="play-skip-back" size={40} color={AppTheme.colors.text} /></TouchableOpacity><TouchableOpacity style={styles.playButton} onPress={isPlaying ? pauseTrack : resumeTrack}><Ionicons name={isPlaying ? 'pause' : 'play'} size={50} color={AppTheme.colors.background} style={{ marginLeft: isPlaying ? 0 : 4 }} /></TouchableOpacity><TouchableOpacity onPress={playNextTrack}><Ionicons name="play-skip-forward" size={40} color={AppTheme.colors.text} /></TouchableOpacity></View>
+          <View style={styles.controlsContainer}>
+            <TouchableOpacity onPress={toggleShuffle}>
+              <Ionicons name="shuffle" size={26} color={shuffleEnabled ? AppTheme.colors.primary : AppTheme.colors.text} />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={playPreviousTrack}><Ionicons name="play-skip-back" size={40} color={AppTheme.colors.text} /></TouchableOpacity>
+            <TouchableOpacity style={styles.playButton} onPress={isPlaying ? pauseTrack : resumeTrack}><Ionicons name={isPlaying ? 'pause' : 'play'} size={50} color={AppTheme.colors.background} style={{ marginLeft: isPlaying ? 0 : 4 }} /></TouchableOpacity>
+            <TouchableOpacity onPress={playNextTrack}><Ionicons name="play-skip-forward" size={40} color={AppTheme.colors.text} /></TouchableOpacity>
+            <TouchableOpacity onPress={cycleRepeatMode}>
+              <Ionicons name="repeat" size={26} color={repeatMode !== RepeatMode.OFF ? AppTheme.colors.primary : AppTheme.colors.text} />
+              {repeatMode === RepeatMode.ONE && <Text style={styles.repeatOneBadge}>1</Text>}
+            </TouchableOpacity>
+          </View>
+          <View style={styles.secondaryControls}>
+            <TouchableOpacity onPress={() => setIsRateSheetVisible(true)} style={styles.secondaryButton}>
+              <Ionicons name="speedometer-outline" size={22} color={playbackRate !== 1 ? AppTheme.colors.primary : AppTheme.colors.text} />
+              <Text style={[styles.secondaryButtonText, playbackRate === 1 && styles.inactiveSecondaryText]}>{formatRate(playbackRate)}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => setIsSleepTimerVisible(true)} style={styles.secondaryButton}>
+              <Ionicons name={sleepTimer ? 'moon' : 'moon-outline'} size={22} color={sleepTimer ? AppTheme.colors.primary : AppTheme.colors.text} />
+              {sleepTimer && (
+                <Text style={styles.secondaryButtonText}>
+                  {sleepTimerRemaining != null ? formatCountdown(sleepTimerRemaining) : 'On'}
+                </Text>
+              )}
+            </TouchableOpacity>
+          </View>
         </View>
         <View 
             style={styles.lyricsSection}
@@ -220,6 +256,9 @@ export default function PlayerScreen({ isVisible, onClose }) {
           )}
         </View>
       </SafeAreaView>
+      <UpNextPanel isVisible={isUpNextVisible} onClose={() => setIsUpNextVisible(false)} />
+      <SleepTimerSheet isVisible={isSleepTimerVisible} onClose={() => setIsSleepTimerVisible(false)} />
+      <PlaybackRateSheet isVisible={isRateSheetVisible} onClose={() => setIsRateSheetVisible(false)} />
     </Animated.View>
   );
 }
@@ -240,6 +279,11 @@ const styles = StyleSheet.create({
   timeContainer: { flexDirection: 'row', justifyContent: 'space-between', width: '100%' },
   timeText: { color: '#A0A0A0', fontSize: 12 },
   controlsContainer: { flexDirection: 'row', justifyContent: 'space-evenly', alignItems: 'center', marginVertical: 10, width: '100%' },
+  repeatOneBadge: { position: 'absolute', top: -4, right: -6, color: AppTheme.colors.primary, fontSize: 10, fontWeight: 'bold' },
+  secondaryControls: { flexDirection: 'row', justifyContent: 'center', alignItems: 'center', width: '100%' },
+  secondaryButton: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 12, paddingVertical: 4 },
+  secondaryButtonText: { color: AppTheme.colors.primary, fontSize: 13, marginLeft: 6 },
+  inactiveSecondaryText: { color: AppTheme.colors.text },
   playButton: { backgroundColor: AppTheme.colors.text, width: 72, height: 72, borderRadius: 36, justifyContent: 'center', alignItems: 'center' },
   lyricsSection: { flex: 1, padding: 10 },
   lyricsContent: { paddingBottom: 60 }, // Removed the fixed padding from here
@@ -0,0 +1,327 @@
+import React, { useState, useCallback, useMemo, useRef } from 'react';
+import { StyleSheet, Text, View, FlatList, ScrollView, TouchableOpacity, Image, ActivityIndicator, Alert, useWindowDimensions } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+import { captureRef } from 'react-native-view-shot';
+import * as Sharing from 'expo-sharing';
+
+import { AppTheme } from './colors';
+import * as storage from './storage';
+import { buildRecap, formatListeningTime, MONTH_NAMES_LONG } from './listeningStats';
+
+const CARD_COLORS = [AppTheme.colors.primary, '#5E35B1', '#00897B', '#C2185B', '#EF6C00'];
+const PLACEHOLDER_ART = 'https://placehold.co/300x300/1F2F3A/FFFFFF?text=?';
+
+const getArtistNames = (track) => (Array.isArray(track?.artists) ? track.artists.join(', ') : 'Unknown Artist');
+
+const formatRecapDay = (dateKey) => {
+  const [, month, day] = dateKey.split('-').map(Number);
+  return `${day} ${MONTH_NAMES_LONG[month - 1]}`;
+};
+
+const RankedRow = ({ rank, imageUri, title, subtitle }) => (
+  <View style={styles.rankedRow}>
+    <Text style={styles.rankedNumber}>{rank}</Text>
+    <Image source={{ uri: imageUri || PLACEHOLDER_ART }} style={styles.rankedImage} />
+    <View style={styles.rankedInfo}>
+      <Text style={styles.rankedTitle} numberOfLines={1}>{title}</Text>
+      <Text style={styles.rankedSubtitle} numberOfLines={1}>{subtitle}</Text>
+    </View>
+  </View>
+);
+
+/**
+ * Turns a recap into the list of cards to swipe through. Cards without anything
+ * to show (e.g. no new artists) are left out.
+ */
+const buildCards = (recap, trackDb, title) => {
+  const cards = [
+    {
+      key: 'intro',
+      render: () => (
+        <>
+          <Text style={styles.cardKicker}>{title} in music</Text>
+          <Text style={styles.cardBigNumber}>{recap.minutesListened.toLocaleString()}</Text>
+          <Text style={styles.cardHeadline}>minutes listened</Text>
+          <Text style={styles.cardBody}>
+            {recap.playCount} plays across {recap.trackCount} tracks and {recap.artistCount} artists.
+          </Text>
+        </>
+      ),
+    },
+  ];
+
+  if (recap.topTracks.length > 0) {
+    const topTrack = trackDb[recap.topTracks[0].trackId];
+    cards.push({
+      key: 'tracks',
+      render: () => (
+        <>
+          <Text style={styles.cardKicker}>Your top tracks</Text>
+          <Image source={{ uri: topTrack?.thumbnailUri || PLACEHOLDER_ART }} style={styles.heroImage} />
+          {recap.topTracks.map((entry, i) => {
+            const track = trackDb[entry.trackId];
+            return (
+              <RankedRow
+                key={entry.trackId}
+                rank={i + 1}
+                imageUri={track?.thumbnailUri}
+                title={track?.name || 'Removed track'}
+                subtitle={`${getArtistNames(track)} · ${entry.playCount} plays`}
+              />
+            );
+          })}
+        </>
+      ),
+    });
+  }
+
+  if (recap.topArtists.length > 0) {
+    cards.push({
+      key: 'artists',
+      render: () => (
+        <>
+          <Text style={styles.cardKicker}>Your top artists</Text>
+          <Image source={{ uri: trackDb[recap.topArtists[0].topTrackId]?.thumbnailUri || PLACEHOLDER_ART }} style={styles.heroImage} />
+          {recap.topArtists.map((artist, i) => (
+            <RankedRow
+              key={artist.name}
+              rank={i + 1}
+              imageUri={trackDb[artist.topTrackId]?.thumbnailUri}
+              title={artist.name}
+              subtitle={`${formatListeningTime(artist.totalPlayTime)} · ${artist.playCount} plays`}
+            />
+          ))}
+        </>
+      ),
+    });
+  }
+
+  if (recap.mostReplayedDay) {
+    const { date, playCount, totalPlayTime, topTrackId } = recap.mostReplayedDay;
+    const track = trackDb[topTrackId];
+    cards.push({
+      key: 'day',
+      render: () => (
+        <>
+          <Text style={styles.cardKicker}>Your biggest day</Text>
+          <Text style={styles.cardHeadline}>{formatRecapDay(date)}</Text>
+          <Text style={styles.cardBody}>{playCount} plays and {formatListeningTime(totalPlayTime)} of music.</Text>
+          {track && (
+            <>
+              <Image source={{ uri: track.thumbnailUri || PLACEHOLDER_ART }} style={styles.heroImage} />
+              <Text style={styles.cardBody}>On repeat: {track.name} by {getArtistNames(track)}</Text>
+            </>
+          )}
+        </>
+      ),
+    });
+  }
+
+  if (recap.newArtists.length > 0) {
+    cards.push({
+      key: 'discoveries',
+      render: () => (
+        <>
+          <Text style={styles.cardKicker}>New discoveries</Text>
+          <Text style={styles.cardBigNumber}>{recap.newArtists.length}</Text>
+          <Text style={styles.cardHeadline}>{recap.newArtists.length === 1 ? 'new artist' : 'new artists'}</Text>
+          {recap.newArtists.slice(0, 5).map((artist, i) => (
+            <RankedRow
+              key={artist.name}
+              rank={i + 1}
+              imageUri={trackDb[artist.topTrackId]?.thumbnailUri}
+              title={artist.name}
+              subtitle={`${artist.playCount} plays`}
+            />
+          ))}
+        </>
+      ),
+    });
+  }
+
+  return cards;
+};
+
+export default function RecapScreen({ navigation }) {
+  const { width } = useWindowDimensions();
+  const [days, setDays] = useState({});
+  const [trackDb, setTrackDb] = useState({});
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [month, setMonth] = useState(null);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isExporting, setIsExporting] = useState(false);
+  const cardRefs = useRef({});
+  const listRef = useRef(null);
+
+  const loadData = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      // Earlier years are needed too, to work out which artists are new
+      const [allDays, tracks] = await Promise.all([storage.getDailyStats(), storage.getDownloadedTracks()]);
+      setDays(allDays);
+      setTrackDb(tracks);
+    } catch (error) {
+      console.error('Failed to load recap data:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadData();
+    }, [loadData])
+  );
+
+  const years = useMemo(() => {
+    const found = new Set(Object.keys(days).map(dateKey => Number(dateKey.slice(0, 4))));
+    found.add(new Date().getFullYear());
+    return [...found].sort((a, b) => b - a);
+  }, [days]);
+
+  const title = month == null ? `${year}` : `${MONTH_NAMES_LONG[month]} ${year}`;
+  const recap = useMemo(() => buildRecap(days, trackDb, { year, month }), [days, trackDb, year, month]);
+  const cards = useMemo(() => (recap ? buildCards(recap, trackDb, title) : []), [recap, trackDb, title]);
+
+  const selectPeriod = (newYear, newMonth) => {
+    setYear(newYear);
+    setMonth(newMonth);
+    setActiveIndex(0);
+    listRef.current?.scrollToOffset({ offset: 0, animated: false });
+  };
+
+  const handleExport = async () => {
+    const card = cards[activeIndex];
+    if (!card || !cardRefs.current[card.key]) return;
+    setIsExporting(true);
+    try {
+      const uri = await captureRef(cardRefs.current[card.key], { format: 'png', quality: 1 });
+      if (!(await Sharing.isAvailableAsync())) {
+        Alert.alert('Sharing Unavailable', 'Sharing is not available on this device.');
+        return;
+      }
+      await Sharing.shareAsync(uri, { mimeType: 'image/png', dialogTitle: `My ${title} recap` });
+    } catch (error) {
+      console.error('Failed to export recap card:', error);
+      Alert.alert('Export Failed', 'Could not export this card.');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const renderCard = ({ item, index }) => (
+    <View style={[styles.cardPage, { width }]}>
+      {/* collapsable={false} keeps the view in the native hierarchy on Android so it can be captured */}
+      <View
+        ref={ref => { cardRefs.current[item.key] = ref; }}
+        collapsable={false}
+        style={[styles.card, { backgroundColor: CARD_COLORS[index % CARD_COLORS.length] }]}
+      >
+        {item.render()}
+        <Text style={styles.cardFooter}>Musox · {title}</Text>
+      </View>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={styles.screenContainer}>
+      <View style={styles.headerContainer}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="chevron-back" size={30} color={AppTheme.colors.text} />
+        </TouchableOpacity>
+        <Text style={styles.header}>Recap</Text>
+        {cards.length > 0 && (
+          <TouchableOpacity onPress={handleExport} style={styles.exportButton} disabled={isExporting}>
+            {isExporting
+              ? <ActivityIndicator color={AppTheme.colors.text} />
+              : <Ionicons name="share-outline" size={24} color={AppTheme.colors.text} />}
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <View>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+          {years.map(y => (
+            <TouchableOpacity key={y} style={[styles.chip, y === year && styles.activeChip]} onPress={() => selectPeriod(y, month)}>
+              <Text style={[styles.chipText, y === year && styles.activeChipText]}>{y}</Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+          <TouchableOpacity style={[styles.chip, month == null && styles.activeChip]} onPress={() => selectPeriod(year, null)}>
+            <Text style={[styles.chipText, month == null && styles.activeChipText]}>Whole year</Text>
+          </TouchableOpacity>
+          {MONTH_NAMES_LONG.map((name, m) => (
+            <TouchableOpacity key={name} style={[styles.chip, m === month && styles.activeChip]} onPress={() => selectPeriod(year, m)}>
+              <Text style={[styles.chipText, m === month && styles.activeChipText]}>{name.slice(0, 3)}</Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      </View>
+
+      {isLoading ? (
+        <ActivityIndicator size="large" color={AppTheme.colors.primary} style={{ flex: 1 }} />
+      ) : cards.length === 0 ? (
+        <View style={styles.emptyContainer}>
+          <Ionicons name="calendar-outline" size={80} color={AppTheme.colors.primary} />
+          <Text style={styles.emptyTitle}>Nothing to recap</Text>
+          <Text style={styles.emptySubtitle}>You didn't listen to anything in {title}.</Text>
+        </View>
+      ) : (
+        <>
+          <FlatList
+            ref={listRef}
+            data={cards}
+            keyExtractor={item => item.key}
+            renderItem={renderCard}
+            horizontal
+            pagingEnabled
+            showsHorizontalScrollIndicator={false}
+            onMomentumScrollEnd={e => setActiveIndex(Math.round(e.nativeEvent.contentOffset.x / width))}
+            style={styles.cardList}
+          />
+          <View style={styles.dots}>
+            {cards.map((card, i) => <View key={card.key} style={[styles.dot, i === activeIndex && styles.activeDot]} />)}
+          </View>
+        </>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  screenContainer: { flex: 1, backgroundColor: AppTheme.colors.background },
+  headerContainer: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 10, paddingTop: 20, paddingBottom: 10 },
+  backButton: { padding: 5 },
+  header: { flex: 1, fontSize: 32, fontWeight: 'bold', color: AppTheme.colors.text, marginLeft: 6 },
+  exportButton: { padding: 8 },
+  chipRow: { paddingHorizontal: 16, paddingBottom: 8 },
+  chip: { paddingVertical: 6, paddingHorizontal: 12, borderRadius: 20, backgroundColor: AppTheme.colors.card, marginRight: 8 },
+  activeChip: { backgroundColor: AppTheme.colors.primary },
+  chipText: { color: AppTheme.colors.text, fontSize: 14 },
+  activeChipText: { color: '#FFF', fontWeight: 'bold' },
+  cardList: { flex: 1 },
+  cardPage: { padding: 16, paddingBottom: 8 },
+  card: { flex: 1, borderRadius: 16, padding: 24, overflow: 'hidden' },
+  cardKicker: { color: '#FFF', fontSize: 16, fontWeight: '600', opacity: 0.85, marginBottom: 12 },
+  cardBigNumber: { color: '#FFF', fontSize: 64, fontWeight: 'bold' },
+  cardHeadline: { color: '#FFF', fontSize: 28, fontWeight: 'bold', marginBottom: 12 },
+  cardBody: { color: '#FFF', fontSize: 16, marginBottom: 12 },
+  cardFooter: { position: 'absolute', bottom: 16, left: 24, color: '#FFF', fontSize: 12, opacity: 0.7 },
+  heroImage: { width: 140, height: 140, borderRadius: 8, alignSelf: 'center', marginBottom: 16 },
+  rankedRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 10 },
+  rankedNumber: { color: '#FFF', fontSize: 18, fontWeight: 'bold', width: 26 },
+  rankedImage: { width: 44, height: 44, borderRadius: 4 },
+  rankedInfo: { flex: 1, marginLeft: 12 },
+  rankedTitle: { color: '#FFF', fontSize: 16, fontWeight: 'bold' },
+  rankedSubtitle: { color: '#FFF', fontSize: 12, opacity: 0.8, marginTop: 2 },
+  dots: { flexDirection: 'row', justifyContent: 'center', paddingBottom: 20 },
+  dot: { width: 8, height: 8, borderRadius: 4, backgroundColor: AppTheme.colors.border, marginHorizontal: 4 },
+  activeDot: { backgroundColor: AppTheme.colors.primary },
+  emptyContainer: { flex: 1, justifyContent: 'center', alignItems: 'center', paddingHorizontal: 20 },
+  emptyTitle: { fontSize: 24, fontWeight: 'bold', color: AppTheme.colors.text, marginTop: 20 },
+  emptySubtitle: { fontSize: 16, color: '#A0A0A0', marginTop: 8, textAlign: 'center' },
+});
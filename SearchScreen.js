@@ -18,6 +18,7 @@ import * as spotify from './spotify';
 import { handleSmartSearch } from './handleSmartSearch';
 import { usePlayer } from './PlayerContext';
 import { TrackListItem } from './components/TrackListItem';
+import { showTrackActions } from './components/trackActions';
 
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
@@ -58,7 +59,8 @@ export default function SearchScreen({ navigation }) {
   const [searchResults, setSearchResults] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   
-  const { playTrack } = usePlayer();
+  const player = usePlayer();
+  const { playTrack } = player;
 
   const handleSearch = () => {
     handleSmartSearch(query, setSearchResults, setIsLoading);
@@ -79,6 +81,8 @@ export default function SearchScreen({ navigation }) {
             <TrackListItem 
                 track={item} 
                 onPress={() => playTrack(item, tracks.items)} 
+                onLongPress={() => showTrackActions(item, player)}
+                onMorePress={() => showTrackActions(item, player)}
             />
         ),
       });
@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, Text, View, ScrollView, Switch, TouchableOpacity, Alert } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import Slider from '@react-native-community/slider';
+
+import { AppTheme } from './colors';
+import * as storage from './storage';
+import { usePlayer, MAX_CROSSFADE_SECONDS } from './PlayerContext';
+import DownloadManager, { MAX_DOWNLOAD_CONCURRENCY } from './downloader';
+
+const SettingRow = ({ title, subtitle, children }) => (
+  <View style={styles.row}>
+    <View style={styles.rowText}>
+      <Text style={styles.rowTitle}>{title}</Text>
+      {subtitle && <Text style={styles.rowSubtitle}>{subtitle}</Text>}
+    </View>
+    {children}
+  </View>
+);
+
+export default function SettingsScreen({ navigation }) {
+  const { crossfadeSeconds, gaplessEnabled, autoplayEnabled, setCrossfadeSeconds, setGaplessEnabled, setAutoplayEnabled } = usePlayer();
+  const [settings, setSettings] = useState(null);
+  // Local slider value so dragging doesn't write to storage on every step
+  const [crossfadeDraft, setCrossfadeDraft] = useState(crossfadeSeconds);
+  const [providers, setProviders] = useState([]);
+
+  const loadProviders = () => DownloadManager.getDownloadProviders().then(setProviders);
+
+  useEffect(() => {
+    storage.getSettings().then(setSettings);
+    loadProviders();
+  }, []);
+
+  useEffect(() => {
+    setCrossfadeDraft(crossfadeSeconds);
+  }, [crossfadeSeconds]);
+
+  const updateSetting = async (key, value) => {
+    const updated = await storage.updateSettings({ [key]: value });
+    setSettings(updated);
+  };
+
+  const updateProviderSetting = async (key, value) => {
+    await updateSetting(key, value);
+    await loadProviders();
+  };
+
+  // Swaps a provider with its neighbour; the list is shown in the user's order while ranking is off
+  const moveProvider = (index, direction) => {
+    const order = providers.map(p => p.id);
+    const target = index + direction;
+    [order[index], order[target]] = [order[target], order[index]];
+    updateProviderSetting('downloadProviderOrder', order);
+  };
+
+  const handleResetProviderStats = () => {
+    Alert.alert(
+      "Reset Success Rates",
+      "Forget how well each download source has worked so far?",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Reset", style: "destructive",
+          onPress: async () => {
+            await DownloadManager.resetProviderStats();
+            await loadProviders();
+          },
+        },
+      ]
+    );
+  };
+
+  const getProviderSubtitle = ({ successes, failures, successRate }) => {
+    if (successRate === null) return 'No downloads yet';
+    const attempts = Math.round(successes + failures);
+    return `${Math.round(successRate * 100)}% of the last ${attempts} ${attempts === 1 ? 'attempt' : 'attempts'} worked`;
+  };
+
+  // Loosening either download setting may let queued tracks start right away
+  const updateDownloadSetting = async (key, value) => {
+    await updateSetting(key, value);
+    DownloadManager.autoProcessQueue();
+  };
+
+  return (
+    <SafeAreaView style={styles.screenContainer}>
+      <View style={styles.headerContainer}>
+        <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+          <Ionicons name="chevron-back" size={30} color={AppTheme.colors.text} />
+        </TouchableOpacity>
+        <Text style={styles.header}>Settings</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={{ paddingBottom: 150 }}>
+        <Text style={styles.sectionHeader}>Playback</Text>
+        <SettingRow title="Gapless playback" subtitle="Preload the next track so albums play without gaps.">
+          <Switch
+            value={gaplessEnabled}
+            onValueChange={setGaplessEnabled}
+            trackColor={{ true: AppTheme.colors.primary, false: AppTheme.colors.border }}
+          />
+        </SettingRow>
+        <View style={styles.row}>
+          <View style={styles.rowText}>
+            <Text style={styles.rowTitle}>Crossfade</Text>
+            <Text style={styles.rowSubtitle}>{crossfadeDraft === 0 ? 'Off' : `${crossfadeDraft} s`}</Text>
+            <Slider
+              style={styles.slider}
+              minimumValue={0}
+              maximumValue={MAX_CROSSFADE_SECONDS}
+              step={1}
+              value={crossfadeSeconds}
+              onValueChange={setCrossfadeDraft}
+              onSlidingComplete={setCrossfadeSeconds}
+              minimumTrackTintColor={AppTheme.colors.primary}
+              maximumTrackTintColor={AppTheme.colors.border}
+              thumbTintColor={AppTheme.colors.text}
+            />
+          </View>
+        </View>
+
+        <SettingRow title="Autoplay" subtitle="When the queue ends, keep playing recommended tracks you've downloaded.">
+          <Switch
+            value={autoplayEnabled}
+            onValueChange={setAutoplayEnabled}
+            trackColor={{ true: AppTheme.colors.primary, false: AppTheme.colors.border }}
+          />
+        </SettingRow>
+
+        <Text style={styles.sectionHeader}>Downloads</Text>
+        <SettingRow title="Save streamed tracks" subtitle="Once a track starts streaming, download it in the background, even with automatic downloads off.">
+          <Switch
+            value={!!settings?.saveStreamedTracks}
+            onValueChange={(value) => updateSetting('saveStreamedTracks', value)}
+            disabled={!settings}
+            trackColor={{ true: AppTheme.colors.primary, false: AppTheme.colors.border }}
+          />
+        </SettingRow>
+        <SettingRow title="Download automatically" subtitle="Start downloading as soon as tracks are queued.">
+          <Switch
+            value={!!settings?.autoProcessDownloads}
+            onValueChange={(value) => updateDownloadSetting('autoProcessDownloads', value)}
+            disabled={!settings}
+            trackColor={{ true: AppTheme.colors.primary, false: AppTheme.colors.border }}
+          />
+        </SettingRow>
+        <SettingRow title="Download on Wi-Fi only" subtitle="Automatic downloads wait until you're on Wi-Fi.">
+          <Switch
+            value={!!settings?.downloadOnWifiOnly}
+            onValueChange={(value) => updateDownloadSetting('downloadOnWifiOnly', value)}
+            disabled={!settings || !settings.autoProcessDownloads}
+            trackColor={{ true: AppTheme.colors.primary, false: AppTheme.colors.border }}
+          />
+        </SettingRow>
+        <View style={styles.row}>
+          <View style={styles.rowText}>
+            <Text style={styles.rowTitle}>Parallel downloads</Text>
+            <Text style={styles.rowSubtitle}>
+              {settings ? `${settings.downloadConcurrency} at a time` : ''}
+            </Text>
+            <Slider
+              style={styles.slider}
+              minimumValue={1}
+              maximumValue={MAX_DOWNLOAD_CONCURRENCY}
+              step={1}
+              value={settings?.downloadConcurrency ?? 1}
+              disabled={!settings}
+              onSlidingComplete={(value) => updateSetting('downloadConcurrency', value)}
+              minimumTrackTintColor={AppTheme.colors.primary}
+              maximumTrackTintColor={AppTheme.colors.border}
+              thumbTintColor={AppTheme.colors.text}
+            />
+          </View>
+        </View>
+
+        <Text style={styles.sectionHeader}>Download Sources</Text>
+        <SettingRow
+          title="Rank by success rate"
+          subtitle="Try the sources that have worked best recently first. Turn off to set the order yourself."
+        >
+          <Switch
+            value={!!settings?.rankDownloadProviders}
+            onValueChange={(value) => updateProviderSetting('rankDownloadProviders', value)}
+            disabled={!settings}
+            trackColor={{ true: AppTheme.colors.primary, false: AppTheme.colors.border }}
+          />
+        </SettingRow>
+        {providers.map((provider, index) => (
+          <SettingRow key={provider.id} title={`${index + 1}. ${provider.name}`} subtitle={getProviderSubtitle(provider)}>
+            {settings && !settings.rankDownloadProviders && (
+              <View style={styles.reorderButtons}>
+                <TouchableOpacity onPress={() => moveProvider(index, -1)} disabled={index === 0} style={styles.reorderButton}>
+                  <Ionicons name="chevron-up" size={22} color={index === 0 ? AppTheme.colors.border : AppTheme.colors.text} />
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => moveProvider(index, 1)} disabled={index === providers.length - 1} style={styles.reorderButton}>
+                  <Ionicons name="chevron-down" size={22} color={index === providers.length - 1 ? AppTheme.colors.border : AppTheme.colors.text} />
+                </TouchableOpacity>
+              </View>
+            )}
+          </SettingRow>
+        ))}
+        <TouchableOpacity style={styles.row} onPress={handleResetProviderStats}>
+          <Text style={styles.resetText}>Reset success rates</Text>
+        </TouchableOpacity>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  screenContainer: { flex: 1, backgroundColor: AppTheme.colors.background },
+  headerContainer: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 10, paddingTop: 20, paddingBottom: 10 },
+  backButton: { padding: 5 },
+  header: { fontSize: 32, fontWeight: 'bold', color: AppTheme.colors.text, marginLeft: 6 },
+  sectionHeader: { fontSize: 22, fontWeight: 'bold', color: AppTheme.colors.text, paddingHorizontal: 16, paddingTop: 20, paddingBottom: 10 },
+  row: { flexDirection: 'row', alignItems: 'center', backgroundColor: AppTheme.colors.card, marginHorizontal: 16, marginBottom: 8, padding: 12, borderRadius: 8 },
+  rowText: { flex: 1, marginRight: 10 },
+  rowTitle: { color: AppTheme.colors.text, fontSize: 16 },
+  rowSubtitle: { color: '#A0A0A0', fontSize: 12, marginTop: 2 },
+  slider: { width: '100%', height: 40 },
+  reorderButtons: { flexDirection: 'row' },
+  reorderButton: { padding: 4 },
+  resetText: { color: AppTheme.colors.notification, fontSize: 16 },
+});
@@ -0,0 +1,264 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import { StyleSheet, Text, View, ScrollView, TouchableOpacity, Image, ActivityIndicator } from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+
+import { AppTheme } from './colors';
+import * as storage from './storage';
+import {
+  StatsPeriod,
+  toDateKey,
+  getRangeStart,
+  buildListeningSeries,
+  mergeDailyStats,
+  getTotals,
+  getTopTracks,
+  getTopArtists,
+  getStreaks,
+  formatListeningTime,
+} from './listeningStats';
+
+// How many bars each chart shows, ending with the current day, week or month.
+const PERIODS = [
+  { key: StatsPeriod.DAY, label: 'Days', count: 14 },
+  { key: StatsPeriod.WEEK, label: 'Weeks', count: 12 },
+  { key: StatsPeriod.MONTH, label: 'Months', count: 12 },
+];
+
+const TOP_LIMIT = 5;
+const CHART_HEIGHT = 140;
+
+const SummaryCard = ({ icon, value, label }) => (
+  <View style={styles.summaryCard}>
+    <Ionicons name={icon} size={20} color={AppTheme.colors.primary} />
+    <Text style={styles.summaryValue}>{value}</Text>
+    <Text style={styles.summaryLabel}>{label}</Text>
+  </View>
+);
+
+const ListeningChart = ({ series }) => {
+  const max = Math.max(...series.map(entry => entry.totalPlayTime), 1);
+  // Label every bar on short charts, every other one on longer charts so they don't overlap
+  const labelEvery = series.length > 7 ? 2 : 1;
+  return (
+    <View style={styles.chart}>
+      {series.map((entry, i) => (
+        <View key={entry.key} style={styles.barColumn}>
+          <View style={styles.barTrack}>
+            <View style={[styles.bar, { height: `${(entry.totalPlayTime / max) * 100}%` }]} />
+          </View>
+          <Text style={styles.barLabel} numberOfLines={1}>
+            {(series.length - 1 - i) % labelEvery === 0 ? entry.label : ''}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const TopTrackItem = ({ rank, track, stats }) => (
+  <View style={styles.topItem}>
+    <Text style={styles.rank}>{rank}</Text>
+    <Image source={{ uri: track?.thumbnailUri || 'https://placehold.co/55x55/1F2F3A/FFFFFF?text=?' }} style={styles.topImage} />
+    <View style={styles.topInfo}>
+      <Text style={styles.topName} numberOfLines={1}>{track?.name || 'Removed track'}</Text>
+      <Text style={styles.topSubtitle} numberOfLines={1}>
+        {Array.isArray(track?.artists) ? track.artists.join(', ') : 'Unknown Artist'}
+      </Text>
+    </View>
+    <View style={styles.topStats}>
+      <Text style={styles.topTime}>{formatListeningTime(stats.totalPlayTime)}</Text>
+      <Text style={styles.topSubtitle}>{stats.playCount} plays</Text>
+    </View>
+  </View>
+);
+
+const TopArtistItem = ({ rank, artist }) => (
+  <View style={styles.topItem}>
+    <Text style={styles.rank}>{rank}</Text>
+    <View style={styles.artistIcon}>
+      <Ionicons name="person" size={22} color={AppTheme.colors.text} />
+    </View>
+    <View style={styles.topInfo}>
+      <Text style={styles.topName} numberOfLines={1}>{artist.name}</Text>
+      <Text style={styles.topSubtitle}>{artist.trackCount} {artist.trackCount === 1 ? 'track' : 'tracks'}</Text>
+    </View>
+    <View style={styles.topStats}>
+      <Text style={styles.topTime}>{formatListeningTime(artist.totalPlayTime)}</Text>
+      <Text style={styles.topSubtitle}>{artist.playCount} plays</Text>
+    </View>
+  </View>
+);
+
+export default function StatsScreen({ navigation }) {
+  const [days, setDays] = useState({});
+  const [trackDb, setTrackDb] = useState({});
+  const [period, setPeriod] = useState(StatsPeriod.DAY);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const loadData = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      // Every bucket is needed for streaks and all-time totals; the charts filter them in memory
+      const [allDays, tracks] = await Promise.all([storage.getDailyStats(), storage.getDownloadedTracks()]);
+      setDays(allDays);
+      setTrackDb(tracks);
+    } catch (error) {
+      console.error('Failed to load listening stats:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      loadData();
+    }, [loadData])
+  );
+
+  const stats = useMemo(() => {
+    const today = toDateKey(new Date());
+    const { count } = PERIODS.find(p => p.key === period);
+    const rangeStart = getRangeStart(period, count, today);
+    const rangeDays = Object.fromEntries(Object.entries(days).filter(([dateKey]) => dateKey >= rangeStart));
+    const rangeTracks = mergeDailyStats(rangeDays);
+
+    return {
+      series: buildListeningSeries(rangeDays, period, count, today),
+      rangeTotals: getTotals(rangeTracks),
+      allTimeTotals: getTotals(mergeDailyStats(days)),
+      topTracks: getTopTracks(rangeTracks, TOP_LIMIT),
+      topArtists: getTopArtists(rangeTracks, trackDb, TOP_LIMIT),
+      streaks: getStreaks(days, today),
+    };
+  }, [days, trackDb, period]);
+
+  const renderHeader = () => (
+    <View style={styles.headerContainer}>
+      <TouchableOpacity onPress={() => navigation.goBack()} style={styles.backButton}>
+        <Ionicons name="chevron-back" size={30} color={AppTheme.colors.text} />
+      </TouchableOpacity>
+      <Text style={styles.header}>Your Stats</Text>
+      <TouchableOpacity onPress={() => navigation.navigate('Recap')} style={styles.recapButton}>
+        <Ionicons name="sparkles-outline" size={24} color={AppTheme.colors.text} />
+      </TouchableOpacity>
+    </View>
+  );
+
+  if (isLoading) {
+    return (
+      <SafeAreaView style={styles.screenContainer}>
+        {renderHeader()}
+        <ActivityIndicator size="large" color={AppTheme.colors.primary} style={{ flex: 1 }} />
+      </SafeAreaView>
+    );
+  }
+
+  if (stats.allTimeTotals.totalPlayTime === 0 && stats.allTimeTotals.playCount === 0) {
+    return (
+      <SafeAreaView style={styles.screenContainer}>
+        {renderHeader()}
+        <View style={styles.emptyContainer}>
+          <Ionicons name="stats-chart-outline" size={80} color={AppTheme.colors.primary} />
+          <Text style={styles.emptyTitle}>No listening yet</Text>
+          <Text style={styles.emptySubtitle}>Your listening time, top tracks and streaks will show up here.</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const { series, rangeTotals, allTimeTotals, topTracks, topArtists, streaks } = stats;
+
+  return (
+    <SafeAreaView style={styles.screenContainer}>
+      {renderHeader()}
+      <ScrollView contentContainerStyle={{ paddingBottom: 150 }}>
+        <View style={styles.summaryRow}>
+          <SummaryCard icon="time-outline" value={`${(allTimeTotals.totalPlayTime / 3600000).toFixed(1)}`} label="Total hours" />
+          <SummaryCard icon="flame-outline" value={`${streaks.current}`} label={streaks.current === 1 ? 'Day streak' : 'Days streak'} />
+          <SummaryCard icon="trophy-outline" value={`${streaks.longest}`} label="Longest streak" />
+        </View>
+
+        <View style={styles.periodSelector}>
+          {PERIODS.map(p => (
+            <TouchableOpacity
+              key={p.key}
+              style={[styles.periodChip, period === p.key && styles.activePeriodChip]}
+              onPress={() => setPeriod(p.key)}
+            >
+              <Text style={[styles.periodText, period === p.key && styles.activePeriodText]}>{p.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <View style={styles.sectionContainer}>
+          <Text style={styles.rangeTotal}>{formatListeningTime(rangeTotals.totalPlayTime)}</Text>
+          <Text style={styles.rangeSubtitle}>
+            {rangeTotals.playCount} plays · {rangeTotals.trackCount} tracks · {rangeTotals.skipCount} skips
+          </Text>
+          <ListeningChart series={series} />
+        </View>
+
+        <View style={styles.sectionContainer}>
+          <Text style={styles.sectionHeader}>Top Tracks</Text>
+          {topTracks.length > 0 ? (
+            topTracks.map((entry, i) => (
+              <TopTrackItem key={entry.trackId} rank={i + 1} track={trackDb[entry.trackId]} stats={entry} />
+            ))
+          ) : (
+            <Text style={styles.sectionEmpty}>Nothing played in this period.</Text>
+          )}
+        </View>
+
+        <View style={styles.sectionContainer}>
+          <Text style={styles.sectionHeader}>Top Artists</Text>
+          {topArtists.length > 0 ? (
+            topArtists.map((artist, i) => <TopArtistItem key={artist.name} rank={i + 1} artist={artist} />)
+          ) : (
+            <Text style={styles.sectionEmpty}>Nothing played in this period.</Text>
+          )}
+        </View>
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  screenContainer: { flex: 1, backgroundColor: AppTheme.colors.background },
+  headerContainer: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 10, paddingTop: 20, paddingBottom: 10 },
+  backButton: { padding: 5 },
+  header: { flex: 1, fontSize: 32, fontWeight: 'bold', color: AppTheme.colors.text, marginLeft: 6 },
+  recapButton: { padding: 8 },
+  summaryRow: { flexDirection: 'row', paddingHorizontal: 12, marginBottom: 16 },
+  summaryCard: { flex: 1, backgroundColor: AppTheme.colors.card, borderRadius: 8, padding: 12, marginHorizontal: 4 },
+  summaryValue: { color: AppTheme.colors.text, fontSize: 24, fontWeight: 'bold', marginTop: 6 },
+  summaryLabel: { color: '#A0A0A0', fontSize: 12, marginTop: 2 },
+  periodSelector: { flexDirection: 'row', paddingHorizontal: 16, marginBottom: 12 },
+  periodChip: { paddingVertical: 8, paddingHorizontal: 14, borderRadius: 20, backgroundColor: AppTheme.colors.card, marginRight: 8 },
+  activePeriodChip: { backgroundColor: AppTheme.colors.primary },
+  periodText: { color: AppTheme.colors.text, fontSize: 14 },
+  activePeriodText: { color: '#FFF', fontWeight: 'bold' },
+  sectionContainer: { marginBottom: 24, paddingHorizontal: 16 },
+  sectionHeader: { fontSize: 22, fontWeight: 'bold', color: AppTheme.colors.text, marginBottom: 12 },
+  sectionEmpty: { color: '#A0A0A0', fontSize: 14 },
+  rangeTotal: { color: AppTheme.colors.text, fontSize: 28, fontWeight: 'bold' },
+  rangeSubtitle: { color: '#A0A0A0', fontSize: 14, marginTop: 2, marginBottom: 16 },
+  chart: { flexDirection: 'row', alignItems: 'flex-end' },
+  barColumn: { flex: 1, alignItems: 'center' },
+  barTrack: { height: CHART_HEIGHT, width: '70%', justifyContent: 'flex-end' },
+  bar: { width: '100%', minHeight: 2, borderRadius: 3, backgroundColor: AppTheme.colors.primary },
+  barLabel: { color: '#A0A0A0', fontSize: 10, marginTop: 6 },
+  topItem: { flexDirection: 'row', alignItems: 'center', marginBottom: 10 },
+  rank: { color: '#A0A0A0', fontSize: 16, fontWeight: 'bold', width: 24 },
+  topImage: { width: 50, height: 50, borderRadius: 4 },
+  artistIcon: { width: 50, height: 50, borderRadius: 25, backgroundColor: AppTheme.colors.card, justifyContent: 'center', alignItems: 'center' },
+  topInfo: { flex: 1, marginLeft: 12, justifyContent: 'center' },
+  topName: { color: AppTheme.colors.text, fontSize: 16, fontWeight: 'bold' },
+  topSubtitle: { color: '#A0A0A0', fontSize: 12, marginTop: 2 },
+  topStats: { alignItems: 'flex-end', marginLeft: 8 },
+  topTime: { color: AppTheme.colors.text, fontSize: 14, fontWeight: '600' },
+  emptyContainer: { flex: 1, justifyContent: 'center', alignItems: 'center', paddingHorizontal: 20 },
+  emptyTitle: { fontSize: 24, fontWeight: 'bold', color: AppTheme.colors.text, marginTop: 20 },
+  emptySubtitle: { fontSize: 16, color: '#A0A0A0', marginTop: 8, textAlign: 'center' },
+});
@@ -8,6 +8,7 @@ import { AppTheme } from './colors';
 import * as storage from './storage';
 import { TrackListItem } from './components/TrackListItem';
 import { usePlayer } from './PlayerContext';
+import { showTrackActions } from './components/trackActions';
 
 const DEFAULT_IMAGE = 'https://placehold.co/200/1F2F3A/121212?text=?';
 
@@ -76,7 +77,8 @@ const AddSongsModal = ({ isVisible, onClose, onAdd, existingTrackIds }) => {
 
 export default function UserPlaylistScreen({ route, navigation }) {
     const { playlist: initialPlaylist } = route.params;
-    const { playTrack } = usePlayer();
+    const player = usePlayer();
+    const { playTrack } = player;
 
     const [playlist, setPlaylist] = useState(initialPlaylist);
     const [tracks, setTracks] = useState([]);
@@ -227,6 +229,7 @@ export default function UserPlaylistScreen({ route, navigation }) {
                             else playTrack(item, tracks);
                         }}
                         onLongPress={() => handleLongPress(item.id)}
+                        onMorePress={() => showTrackActions(item, player)}
                         isSelectionMode={isSelectionMode}
                         isSelected={selectedTracks.has(item.id)}
                     />
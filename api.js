@@ -28,6 +28,15 @@ const handleBackendResponse = async (response) => {
 
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// Rejects if the promise hasn't settled within `ms`. The work itself isn't stopped.
+const withTimeout = (promise, ms, label) => {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms / 1000}s.`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
 
 // ============================================================================
 // Individual Downloader Implementations
@@ -118,6 +127,40 @@ const tryY2Meta = async (videoId) => {
     };
 };
 
+// --- Logic for the Cloudflare worker ---
+const tryCloudflareWorker = async (videoId) => {
+    console.log('[Download] Starting: Cloudflare worker...');
+    const response = await fetch(CLOUDFLARE_DOWNLOADER_URL, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ videoId }),
+    });
+    if (!response.ok) throw new Error(`Cloudflare worker: request failed: ${response.status}`);
+    const data = await response.json();
+    if (!data?.downloadUrl) throw new Error('Cloudflare worker: did not return a download URL.');
+
+    console.log('[Download] Success: Cloudflare worker finished.');
+    return { source: 'Cloudflare', durationMs: 0, lrcData: '', ...data };
+};
+
+// ============================================================================
+// Download Provider Registry
+// ============================================================================
+
+/**
+ * Every download provider has the same shape:
+ * - `id`: a stable key, used in the provider order setting and the success stats.
+ * - `name`: shown in Settings.
+ * - `resolve(videoId)`: resolves to `{ source, downloadUrl, fileName, durationMs, lrcData }`,
+ *   or throws if the provider can't produce a URL for the video.
+ * To add a provider, implement `resolve` above and register it here.
+ */
+export const DOWNLOAD_PROVIDERS = [
+    { id: 'freetoolserver', name: 'FreeToolServer', resolve: tryFreeToolServer },
+    { id: 'y2meta', name: 'y2meta', resolve: tryY2Meta },
+    { id: 'cloudflare', name: 'Cloudflare worker', resolve: tryCloudflareWorker },
+];
+
 // ============================================================================
 // Main API Service Abstractions
 // ============================================================================
@@ -172,61 +215,30 @@ export const getLyrics = async (trackName, artistName) => {
 };
 
 /**
- * Orchestrates downloading a track using a race-and-fallback strategy.
+ * Resolves a download URL for a video, trying the providers one after the other until one
+ * of them has it. Whether the URL actually downloads is up to the caller to check.
  * @param {string} videoId The YouTube video ID.
- * @returns {Promise<object>} The final download information object.
+ * @param {Array<object>} [providers] The providers to try, in order. Defaults to all of them.
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] Moves on to the next provider if one takes longer than this.
+ * @param {(providerId: string, success: boolean) => void} [options.onResult] Called after each provider is tried.
+ * @returns {Promise<object>} The download information, with the `providerId` that produced it.
+ * @throws {Error} If none of the providers returned a URL.
  */
-export const getDownloadInfo = async (videoId) => {
-    console.log(`[Download] Starting race for videoId: ${videoId}`);
-    
-    let primaryResults = [];
-
-    // Race the two primary downloaders against each other.
-    try {
-        const result = await Promise.any([
-            tryFreeToolServer(videoId),
-            tryY2Meta(videoId)
-        ]);
-        primaryResults.push(result);
-        console.log(`[Download] Race winner is: ${result.source}`);
-    } catch (aggregateError) {
-        // This block runs if *both* primary methods fail to even get a link.
-        console.error('[Download] Both primary methods failed to get a download link.', aggregateError.errors);
-    }
-    
-    // After the race, find out which one was the loser, in case we need its link later.
-    // This is a simplified way to get the second result. A more robust solution might
-    // involve a custom Promise.race implementation, but this works for two promises.
-    const loserPromise = primaryResults[0]?.source === 'FreeToolServer' ? tryY2Meta(videoId) : tryFreeToolServer(videoId);
-    loserPromise.then(res => primaryResults.push(res)).catch(() => {/* The loser failed, which is fine */});
-    
-    // Now try to download from the winner.
-    for (const result of primaryResults) {
+export const getDownloadInfo = async (videoId, providers = DOWNLOAD_PROVIDERS, { timeoutMs = null, onResult } = {}) => {
+    for (const provider of providers) {
         try {
-            // Here, you would call your downloader's fetch function with result.downloadUrl
-            // For this example, we'll just return the successful info.
-            console.log(`[Download] Successfully secured download info from ${result.source}`);
-            return result; 
-        } catch (downloadError) {
-            console.warn(`[Download] Failed to download from the winning link (${result.source}). Trying the next available link.`);
-            // The loop will automatically continue to the next result if the download fails.
+            const resolving = provider.resolve(videoId);
+            const info = await (timeoutMs ? withTimeout(resolving, timeoutMs, provider.name) : resolving);
+            if (!info?.downloadUrl) throw new Error('No download URL in the response.');
+            console.log(`[Download] Secured download info from ${provider.name}.`);
+            onResult?.(provider.id, true);
+            return { ...info, providerId: provider.id };
+        } catch (error) {
+            console.warn(`[Download] ${provider.name} failed for videoId ${videoId}: ${error.message}. Trying the next provider.`);
+            onResult?.(provider.id, false);
         }
     }
-
-    // If all primary methods and their links fail, use the final Cloudflare worker fallback.
-    try {
-        console.log('[Download] All primary link(s) failed. Attempting Fallback Method (Cloudflare worker)...');
-        const response = await fetch(CLOUDFLARE_DOWNLOADER_URL, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ videoId }),
-        });
-        if (!response.ok) throw new Error('Cloudflare worker service also failed');
-        const data = await response.json();
-        console.log('[Download] Fallback Method Successful!');
-        return data;
-    } catch (fallbackError) {
-        console.error(`[Download] All methods failed for videoId: ${videoId}. Last error: ${fallbackError.message}`);
-        throw new Error('All download methods failed.');
-    }
+    console.error(`[Download] All providers failed for videoId: ${videoId}.`);
+    throw new Error('All download methods failed.');
 };
@@ -7,6 +7,8 @@ import { AppTheme } from '../colors';
 import * as spotify from '../spotify';
 import { TrackListItem } from './TrackListItem'; // Assuming this path is correct
 import { usePlayer } from '../PlayerContext';
+import { showTrackActions } from './trackActions';
+import DownloadAllButton from './DownloadAllButton';
 
 // Default image for when no album art is available
 const DEFAULT_ALBUM_IMAGE = require('../assets/icon.png'); // Adjust path to your default logo/icon
@@ -14,7 +16,8 @@ const DEFAULT_ALBUM_IMAGE = require('../assets/icon.png'); // Adjust path to you
 export default function AlbumDetailsScreen({ route, navigation }) {
     // Get the album object passed via navigation parameters
     const { album } = route.params;
-    const { playTrack } = usePlayer();
+    const player = usePlayer();
+    const { playTrack } = player;
 
     const [albumTracks, setAlbumTracks] = useState([]);
     const [isLoadingTracks, setIsLoadingTracks] = useState(true);
@@ -33,7 +36,8 @@ export default function AlbumDetailsScreen({ route, navigation }) {
             try {
                 // Fetch full track list for the album
                 const tracks = await spotify.getAlbum(album.id);
-                setAlbumTracks(tracks.filter(Boolean)); // Ensure no nulls
+                // Album track listings leave out the album, which holds the artwork
+                setAlbumTracks(tracks.filter(Boolean).map(track => ({ ...track, album: track.album || album })));
             } catch (e) {
                 console.error("Failed to fetch album tracks:", e);
                 setError("Failed to load album tracks. Please try again.");
@@ -72,6 +76,7 @@ export default function AlbumDetailsScreen({ route, navigation }) {
                         {album.artists?.map(a => a.name).join(', ') || 'Unknown Artist'}
                     </Text>
                     <Text style={styles.albumMeta}>{releaseYear} • {albumTracks.length} Songs</Text>
+                    <DownloadAllButton tracks={isLoadingTracks ? null : albumTracks} />
                 </View>
 
                 {/* Tracks Section */}
@@ -85,10 +90,12 @@ export default function AlbumDetailsScreen({ route, navigation }) {
                         <FlatList
                             data={albumTracks}
                             keyExtractor={(item) => item.id}
-                            renderItem={({ item }) => (
+                            renderItem={({ item, index }) => (
                                 <TrackListItem
                                     track={item}
-                                    onPress={() => playTrack(item)} // Assuming playTrack can handle Spotify API track object
+                                    onPress={() => playTrack(item, albumTracks, index)}
+                                    onLongPress={() => showTrackActions(item, player)}
+                                    onMorePress={() => showTrackActions(item, player)}
                                 />
                             )}
                             scrollEnabled={false} // Nested FlatList should not scroll
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { StyleSheet, Text, View, Image, FlatList, ActivityIndicator, ScrollView, TouchableOpacity, Dimensions } from 'react-native';
+import { StyleSheet, Text, View, Image, FlatList, ActivityIndicator, ScrollView, TouchableOpacity, Dimensions, Alert } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 
@@ -7,10 +7,50 @@ import { AppTheme } from '../colors';
 import * as spotify from '../spotify';
 import { TrackListItem } from './TrackListItem';
 import { usePlayer } from '../PlayerContext';
+import { showTrackActions } from './trackActions';
+import DownloadAllButton from './DownloadAllButton';
 
 const { width: SCREEN_WIDTH } = Dimensions.get('window');
 const DEFAULT_ARTIST_IMAGE = require('../assets/icon.png');
 
+// Artist radio mixes in this many related artists, with a few top tracks from each.
+const RADIO_RELATED_ARTISTS = 8;
+const RADIO_TRACKS_PER_RELATED_ARTIST = 3;
+
+/**
+ * Builds an artist radio queue: the artist's own top tracks alternating with top tracks
+ * from related artists, taken round-robin so no single related artist dominates.
+ * Related artists whose tracks can't be fetched are skipped.
+ */
+const buildArtistRadio = async (artistId, relatedArtists) => {
+    const related = relatedArtists.slice(0, RADIO_RELATED_ARTISTS);
+    const [ownTracks, ...relatedResults] = await Promise.all([
+        spotify.getArtistTopTracks(artistId),
+        ...related.map(artist => spotify.getArtistTopTracks(artist.id).catch(() => [])),
+    ]);
+
+    const relatedTracks = [];
+    for (let i = 0; i < RADIO_TRACKS_PER_RELATED_ARTIST; i++) {
+        relatedResults.forEach(tracks => {
+            if (tracks[i]) relatedTracks.push(tracks[i]);
+        });
+    }
+
+    const radio = [];
+    const seen = new Set();
+    const add = (track) => {
+        if (track && !seen.has(track.id)) {
+            seen.add(track.id);
+            radio.push(track);
+        }
+    };
+    for (let i = 0; i < Math.max(ownTracks.length, relatedTracks.length); i++) {
+        add(ownTracks[i]);
+        add(relatedTracks[i]);
+    }
+    return radio;
+};
+
 const AlbumCard = ({ item, onPress }) => {
     const imageUrl = item.images?.[0]?.url;
     const imageSource = imageUrl ? { uri: imageUrl } : DEFAULT_ARTIST_IMAGE;
@@ -26,14 +66,28 @@ const AlbumCard = ({ item, onPress }) => {
     );
 };
 
+const RelatedArtistCard = ({ item, onPress }) => {
+    const imageUrl = item.images?.[0]?.url;
+    return (
+        <TouchableOpacity style={styles.relatedArtistContainer} onPress={onPress}>
+            <Image source={imageUrl ? { uri: imageUrl } : DEFAULT_ARTIST_IMAGE} style={styles.relatedArtistImage} />
+            <Text style={styles.relatedArtistName} numberOfLines={2}>{item.name}</Text>
+        </TouchableOpacity>
+    );
+};
+
 export default function ArtistDetailsScreen({ route, navigation }) {
     const { artist: initialArtistData } = route.params;
-    const { playTrack } = usePlayer();
+    const player = usePlayer();
+    const { playTrack } = player;
 
     // This state will hold the complete artist data, whether it's passed directly or fetched.
     const [artistData, setArtistData] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [relatedArtists, setRelatedArtists] = useState([]);
+    const [isStartingRadio, setIsStartingRadio] = useState(false);
+    const [discography, setDiscography] = useState(null);
 
     useEffect(() => {
         const loadArtistData = async () => {
@@ -64,6 +118,53 @@ export default function ArtistDetailsScreen({ route, navigation }) {
         loadArtistData();
     }, [initialArtistData]);
 
+    // Related artists are optional, so they load separately and failures just hide the row
+    useEffect(() => {
+        if (!initialArtistData?.id) return;
+        setRelatedArtists([]);
+        spotify.getRelatedArtists(initialArtistData.id)
+            .then(artists => setRelatedArtists(artists || []))
+            .catch(e => console.error("Failed to fetch related artists:", e));
+    }, [initialArtistData]);
+
+    // The full discography backs "Download all": every album and single, plus top tracks
+    // that only appear on other artists' releases.
+    useEffect(() => {
+        if (!artistData) return;
+        setDiscography(null);
+        const albumIds = (artistData.albums || []).map(a => a.id);
+        spotify.getAlbumsWithTracks(albumIds)
+            .then(albumTracks => {
+                const seen = new Set();
+                setDiscography([...(artistData.topTracks || []), ...albumTracks].filter(track => {
+                    if (seen.has(track.id)) return false;
+                    seen.add(track.id);
+                    return true;
+                }));
+            })
+            .catch(e => {
+                console.error("Failed to fetch artist discography:", e);
+                setDiscography(artistData.topTracks || []);
+            });
+    }, [artistData]);
+
+    const handleStartRadio = async () => {
+        setIsStartingRadio(true);
+        try {
+            const radio = await buildArtistRadio(artistData.id, relatedArtists);
+            if (radio.length === 0) {
+                Alert.alert("Artist Radio", "Couldn't find any tracks for this artist's radio.");
+                return;
+            }
+            await playTrack(radio[0], radio);
+        } catch (e) {
+            console.error("Failed to start artist radio:", e);
+            Alert.alert("Artist Radio", "Could not start the radio. Please try again.");
+        } finally {
+            setIsStartingRadio(false);
+        }
+    };
+
     if (isLoading) {
         return <SafeAreaView style={styles.screenContainer}><ActivityIndicator size="large" color={AppTheme.colors.primary} /></SafeAreaView>;
     }
@@ -99,6 +200,13 @@ export default function ArtistDetailsScreen({ route, navigation }) {
                     {artistData.followers?.total && (
                         <Text style={styles.artistMeta}>{artistData.followers.total.toLocaleString()} Followers</Text>
                     )}
+                    <TouchableOpacity style={styles.radioButton} onPress={handleStartRadio} disabled={isStartingRadio}>
+                        {isStartingRadio
+                            ? <ActivityIndicator size="small" color="#FFFFFF" />
+                            : <Ionicons name="radio-outline" size={20} color="#FFFFFF" />}
+                        <Text style={styles.radioButtonText}>Start artist radio</Text>
+                    </TouchableOpacity>
+                    <DownloadAllButton tracks={discography} />
                 </View>
 
                 {artistData.topTracks?.length > 0 && (
@@ -111,6 +219,8 @@ export default function ArtistDetailsScreen({ route, navigation }) {
                                 <TrackListItem
                                     track={item}
                                     onPress={() => playTrack(item, artistData.topTracks)}
+                                    onLongPress={() => showTrackActions(item, player)}
+                                    onMorePress={() => showTrackActions(item, player)}
                                 />
                             )}
                             scrollEnabled={false}
@@ -136,6 +246,26 @@ export default function ArtistDetailsScreen({ route, navigation }) {
                         />
                     </View>
                 )}
+
+                {relatedArtists.length > 0 && (
+                    <View style={styles.section}>
+                        <Text style={styles.sectionTitle}>Fans Also Like</Text>
+                        <FlatList
+                            data={relatedArtists}
+                            horizontal
+                            showsHorizontalScrollIndicator={false}
+                            keyExtractor={(item) => item.id}
+                            renderItem={({ item }) => (
+                                <RelatedArtistCard
+                                    item={item}
+                                    // push rather than navigate, so each artist gets its own screen to go back from
+                                    onPress={() => navigation.push('ArtistDetails', { artist: item })}
+                                />
+                            )}
+                            contentContainerStyle={{ paddingLeft: 16 }}
+                        />
+                    </View>
+                )}
             </ScrollView>
         </SafeAreaView>
     );
@@ -212,6 +342,38 @@ const styles = StyleSheet.create({
         fontSize: 12,
         marginTop: 2,
     },
+    radioButton: {
+        flexDirection: 'row',
+        alignItems: 'center',
+        backgroundColor: AppTheme.colors.primary,
+        paddingVertical: 10,
+        paddingHorizontal: 20,
+        borderRadius: 30,
+        marginTop: 16,
+    },
+    radioButtonText: {
+        color: '#FFFFFF',
+        fontSize: 16,
+        fontWeight: 'bold',
+        marginLeft: 8,
+    },
+    relatedArtistContainer: {
+        width: SCREEN_WIDTH * 0.28,
+        marginRight: 16,
+        alignItems: 'center',
+    },
+    relatedArtistImage: {
+        width: SCREEN_WIDTH * 0.28,
+        height: SCREEN_WIDTH * 0.28,
+        borderRadius: 999,
+        marginBottom: 8,
+    },
+    relatedArtistName: {
+        color: AppTheme.colors.text,
+        fontWeight: '600',
+        fontSize: 14,
+        textAlign: 'center',
+    },
     errorMessage: {
         color: AppTheme.colors.notification,
         textAlign: 'center',
@@ -0,0 +1,102 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { StyleSheet, Text, View, TouchableOpacity, ActivityIndicator, Alert } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
+
+import { AppTheme } from '../colors';
+import * as storage from '../storage';
+import DownloadManager from '../downloader';
+import { useDownload } from '../DownloadContext';
+
+/**
+ * "Download all" for an album, playlist or discography, with a "12 / 40 downloaded"
+ * progress line. Tracks that are already downloaded or queued are skipped.
+ * @param {Array<object>|null} tracks - The collection's tracks, or null while they load.
+ */
+export default function DownloadAllButton({ tracks }) {
+  const { queue, queuedIds } = useDownload();
+  const [downloadedIds, setDownloadedIds] = useState(new Set());
+  const [isEnqueueing, setIsEnqueueing] = useState(false);
+
+  const refresh = useCallback(async () => {
+    const downloadedTracks = await storage.getDownloadedTracks();
+    setDownloadedIds(new Set(Object.keys(downloadedTracks)));
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      refresh();
+    }, [refresh])
+  );
+
+  const collection = tracks || [];
+  const total = collection.length;
+  const downloadedCount = collection.filter(t => downloadedIds.has(t.id)).length;
+  const queuedCount = collection.filter(t => !downloadedIds.has(t.id) && queuedIds.has(t.id)).length;
+  const isComplete = total > 0 && downloadedCount === total;
+  const isAllQueued = !isComplete && downloadedCount + queuedCount === total;
+
+  // Finished downloads leave the queue, so the downloaded count is re-read whenever it shrinks
+  useEffect(() => {
+    refresh();
+  }, [queue.length, refresh]);
+
+  const handleDownloadAll = async () => {
+    const toDownload = collection.filter(t => !downloadedIds.has(t.id) && !queuedIds.has(t.id));
+    if (toDownload.length === 0) return;
+
+    setIsEnqueueing(true);
+    try {
+      await DownloadManager.enqueueTracks(toDownload);
+      Alert.alert(
+        "Added to Downloads",
+        `${toDownload.length} ${toDownload.length === 1 ? 'track was' : 'tracks were'} added to the download queue. You can check the progress in the Downloads tab.`
+      );
+    } catch (e) {
+      console.error('Failed to enqueue collection for download:', e);
+      Alert.alert("Download Failed", "Could not add these tracks to the download queue.");
+    } finally {
+      setIsEnqueueing(false);
+    }
+  };
+
+  if (!tracks || total === 0) return null;
+
+  const getButtonLabel = () => {
+    if (isComplete) return 'Downloaded';
+    if (isAllQueued) return 'Queued';
+    return 'Download all';
+  };
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={[styles.button, (isComplete || isAllQueued) && styles.inactiveButton]}
+        onPress={handleDownloadAll}
+        disabled={isComplete || isAllQueued || isEnqueueing}
+      >
+        {isEnqueueing ? (
+          <ActivityIndicator size="small" color="#FFFFFF" />
+        ) : (
+          <Ionicons
+            name={isComplete ? 'checkmark-circle' : isAllQueued ? 'time-outline' : 'arrow-down-circle-outline'}
+            size={20}
+            color="#FFFFFF"
+          />
+        )}
+        <Text style={styles.buttonText}>{getButtonLabel()}</Text>
+      </TouchableOpacity>
+      <Text style={styles.progressText}>
+        {downloadedCount} / {total} downloaded{queuedCount > 0 ? ` · ${queuedCount} queued` : ''}
+      </Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { alignItems: 'center', marginTop: 16 },
+  button: { flexDirection: 'row', alignItems: 'center', backgroundColor: AppTheme.colors.primary, paddingVertical: 10, paddingHorizontal: 20, borderRadius: 30 },
+  inactiveButton: { backgroundColor: AppTheme.colors.card },
+  buttonText: { color: '#FFFFFF', fontSize: 16, fontWeight: 'bold', marginLeft: 8 },
+  progressText: { color: '#A0A0A0', fontSize: 12, marginTop: 8 },
+});
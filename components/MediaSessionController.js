@@ -0,0 +1,114 @@
+import React, { useEffect, useRef } from 'react';
+import { NativeModules } from 'react-native';
+
+import { usePlayer, usePlaybackStatus } from '../PlayerContext';
+
+// react-native-music-control reads its native module as soon as it is imported, and that
+// module only exists in a development or release build that links it (`npx expo run:ios` /
+// `npx expo run:android`, or an EAS build). Under Expo Go it is missing, so the library is
+// only required when the module is there and the media session is skipped otherwise.
+const musicControl = NativeModules.MusicControlManager ? require('react-native-music-control') : null;
+const MusicControl = musicControl?.default;
+const Command = musicControl?.Command;
+if (!musicControl) {
+  console.warn('[MediaSession] Native media controls are unavailable (Expo Go?). Lock-screen controls need a development build.');
+}
+
+// Lock screens extrapolate the elapsed time from the playback speed, so the position
+// only needs re-publishing occasionally (and after seeks).
+const POSITION_SYNC_INTERVAL_MS = 5000;
+
+const toSeconds = (millis) => Math.max((millis || 0) / 1000, 0);
+
+/**
+ * Bridges the player to the OS media session: the lock screen, the notification shade,
+ * headset buttons and Bluetooth/car controls. It publishes the current track and routes
+ * remote commands into the PlayerContext functions. Renders nothing.
+ * Requires a development build (see above); without the native module it does nothing.
+ */
+export default function MediaSessionController() {
+  if (!MusicControl) return null;
+  return <MediaSession />;
+}
+
+const MediaSession = () => {
+  const player = usePlayer();
+  const playbackStatus = usePlaybackStatus();
+  const { currentTrack, isPlaying, playbackRate } = player;
+
+  // Remote command handlers are registered once, so they call through this ref
+  // to always reach the latest player functions.
+  const playerRef = useRef(player);
+  playerRef.current = player;
+  const lastSyncedPositionRef = useRef(null);
+
+  useEffect(() => {
+    // Audio interruptions are left to expo-av, which owns the audio session (see PlayerContext)
+    MusicControl.enableBackgroundMode(true);
+
+    ['play', 'pause', 'stop', 'togglePlayPause', 'nextTrack', 'previousTrack', 'seek', 'changePlaybackPosition']
+      .forEach(control => MusicControl.enableControl(control, true));
+    MusicControl.enableControl('closeNotification', true, { when: 'paused' });
+
+    MusicControl.on(Command.play, () => playerRef.current.resumeTrack());
+    MusicControl.on(Command.pause, () => playerRef.current.pauseTrack());
+    MusicControl.on(Command.stop, () => playerRef.current.pauseTrack());
+    MusicControl.on(Command.togglePlayPause, () => {
+      const { isPlaying: playing, pauseTrack, resumeTrack } = playerRef.current;
+      playing ? pauseTrack() : resumeTrack();
+    });
+    MusicControl.on(Command.nextTrack, () => playerRef.current.playNextTrack());
+    MusicControl.on(Command.previousTrack, () => playerRef.current.playPreviousTrack());
+    // Android sends seek, iOS sends changePlaybackPosition; both are in seconds
+    MusicControl.on(Command.seek, (seconds) => playerRef.current.seekTrack(parseFloat(seconds) * 1000));
+    MusicControl.on(Command.changePlaybackPosition, (seconds) => playerRef.current.seekTrack(parseFloat(seconds) * 1000));
+
+    return () => {
+      MusicControl.stopControl();
+    };
+  }, []);
+
+  // Publish the now-playing metadata whenever the track changes
+  useEffect(() => {
+    if (!currentTrack) {
+      MusicControl.resetNowPlaying();
+      return;
+    }
+    const artists = (currentTrack.artists || []).map(a => (typeof a === 'string' ? a : a?.name)).filter(Boolean);
+    MusicControl.setNowPlaying({
+      title: currentTrack.name,
+      artist: artists.join(', '),
+      artwork: currentTrack.thumbnailUri || undefined,
+      duration: toSeconds(playbackStatus?.durationMillis || currentTrack.duration_ms),
+      elapsedTime: toSeconds(playbackStatus?.positionMillis),
+    });
+    lastSyncedPositionRef.current = playbackStatus?.positionMillis ?? 0;
+  }, [currentTrack]);
+
+  // Publish play/pause state and speed changes right away
+  useEffect(() => {
+    if (!currentTrack) return;
+    MusicControl.updatePlayback({
+      state: isPlaying ? MusicControl.STATE_PLAYING : MusicControl.STATE_PAUSED,
+      elapsedTime: toSeconds(playbackStatus?.positionMillis),
+      speed: isPlaying ? playbackRate : 0,
+    });
+    lastSyncedPositionRef.current = playbackStatus?.positionMillis ?? 0;
+  }, [currentTrack, isPlaying, playbackRate]);
+
+  // Keep the position in sync, including the duration once the sound has loaded
+  useEffect(() => {
+    if (!currentTrack || !playbackStatus?.isLoaded) return;
+    const position = playbackStatus.positionMillis;
+    const lastSynced = lastSyncedPositionRef.current;
+    if (lastSynced != null && Math.abs(position - lastSynced) < POSITION_SYNC_INTERVAL_MS) return;
+
+    MusicControl.updatePlayback({
+      elapsedTime: toSeconds(position),
+      duration: toSeconds(playbackStatus.durationMillis),
+    });
+    lastSyncedPositionRef.current = position;
+  }, [playbackStatus]);
+
+  return null;
+};
@@ -0,0 +1,85 @@
+import React, { useState, useEffect } from 'react';
+import { StyleSheet, Text, View, Modal, TouchableOpacity, Switch } from 'react-native';
+
+import { AppTheme } from '../colors';
+import { usePlayer, PLAYBACK_RATES } from '../PlayerContext';
+
+export const formatRate = (rate) => `${rate}x`;
+
+export default function PlaybackRateSheet({ isVisible, onClose }) {
+  const { playbackRate, isTrackRateRemembered, preservePitch, setPlaybackRate, forgetTrackRate, setPreservePitch } = usePlayer();
+  const [rememberForTrack, setRememberForTrack] = useState(isTrackRateRemembered);
+
+  // Start from whatever the current track uses each time the sheet opens
+  useEffect(() => {
+    if (isVisible) setRememberForTrack(isTrackRateRemembered);
+  }, [isVisible, isTrackRateRemembered]);
+
+  const handleRememberChange = (value) => {
+    setRememberForTrack(value);
+    if (value) {
+      setPlaybackRate(playbackRate, { rememberForTrack: true });
+    } else {
+      // Turning it off puts the track back on the default speed
+      forgetTrackRate();
+    }
+  };
+
+  return (
+    <Modal visible={isVisible} animationType="slide" transparent={true} onRequestClose={onClose}>
+      <TouchableOpacity style={styles.overlay} activeOpacity={1} onPress={onClose}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Playback Speed</Text>
+          <View style={styles.rates}>
+            {PLAYBACK_RATES.map(rate => (
+              <TouchableOpacity
+                key={rate}
+                style={[styles.rateChip, rate === playbackRate && styles.activeRateChip]}
+                onPress={() => setPlaybackRate(rate, { rememberForTrack })}
+              >
+                <Text style={[styles.rateText, rate === playbackRate && styles.activeRateText]}>{formatRate(rate)}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <View style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={styles.rowTitle}>Keep pitch</Text>
+              <Text style={styles.rowSubtitle}>Voices and instruments keep their natural pitch.</Text>
+            </View>
+            <Switch
+              value={preservePitch}
+              onValueChange={setPreservePitch}
+              trackColor={{ true: AppTheme.colors.primary, false: AppTheme.colors.border }}
+            />
+          </View>
+          <View style={styles.row}>
+            <View style={styles.rowText}>
+              <Text style={styles.rowTitle}>Remember for this track</Text>
+              <Text style={styles.rowSubtitle}>Useful for long mixes and podcasts.</Text>
+            </View>
+            <Switch
+              value={rememberForTrack}
+              onValueChange={handleRememberChange}
+              trackColor={{ true: AppTheme.colors.primary, false: AppTheme.colors.border }}
+            />
+          </View>
+        </View>
+      </TouchableOpacity>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: { flex: 1, justifyContent: 'flex-end', backgroundColor: 'rgba(0,0,0,0.7)' },
+  sheet: { backgroundColor: AppTheme.colors.card, borderTopLeftRadius: 16, borderTopRightRadius: 16, padding: 20, paddingBottom: 40 },
+  title: { color: AppTheme.colors.text, fontSize: 20, fontWeight: 'bold', marginBottom: 16 },
+  rates: { flexDirection: 'row', flexWrap: 'wrap', marginBottom: 8 },
+  rateChip: { paddingVertical: 8, paddingHorizontal: 14, borderRadius: 20, backgroundColor: AppTheme.colors.background, marginRight: 8, marginBottom: 8 },
+  activeRateChip: { backgroundColor: AppTheme.colors.primary },
+  rateText: { color: AppTheme.colors.text, fontSize: 14 },
+  activeRateText: { color: '#FFF', fontWeight: 'bold' },
+  row: { flexDirection: 'row', alignItems: 'center', paddingVertical: 10 },
+  rowText: { flex: 1, marginRight: 10 },
+  rowTitle: { color: AppTheme.colors.text, fontSize: 16 },
+  rowSubtitle: { color: '#A0A0A0', fontSize: 12, marginTop: 2 },
+});
@@ -7,6 +7,8 @@ import { AppTheme } from '../colors';
 import * as spotify from '../spotify';
 import { TrackListItem } from './TrackListItem'; // Assuming this path is correct
 import { usePlayer } from '../PlayerContext';
+import { showTrackActions } from './trackActions';
+import DownloadAllButton from './DownloadAllButton';
 
 // Default image for when no playlist art is available
 const DEFAULT_PLAYLIST_IMAGE = require('../assets/icon.png'); // Adjust path to your default logo/icon
@@ -14,7 +16,8 @@ const DEFAULT_PLAYLIST_IMAGE = require('../assets/icon.png'); // Adjust path to
 export default function PlaylistDetailsScreen({ route, navigation }) {
     // Get the playlist object passed via navigation parameters
     const { playlist } = route.params;
-    const { playTrack } = usePlayer();
+    const player = usePlayer();
+    const { playTrack } = player;
 
     const [playlistTracks, setPlaylistTracks] = useState([]);
     const [isLoadingTracks, setIsLoadingTracks] = useState(true);
@@ -72,6 +75,7 @@ export default function PlaylistDetailsScreen({ route, navigation }) {
                         <Text style={styles.playlistDescription}>{playlist.description}</Text>
                     )}
                     <Text style={styles.playlistMeta}>{playlistTracks.length} Songs</Text>
+                    <DownloadAllButton tracks={isLoadingTracks ? null : playlistTracks} />
                 </View>
 
                 {/* Tracks Section */}
@@ -85,10 +89,12 @@ export default function PlaylistDetailsScreen({ route, navigation }) {
                         <FlatList
                             data={playlistTracks}
                             keyExtractor={(item) => item.id}
-                            renderItem={({ item }) => (
+                            renderItem={({ item, index }) => (
                                 <TrackListItem
                                     track={item}
-                                    onPress={() => playTrack(item)} // Assuming playTrack can handle Spotify API track object
+                                    onPress={() => playTrack(item, playlistTracks, index)}
+                                    onLongPress={() => showTrackActions(item, player)}
+                                    onMorePress={() => showTrackActions(item, player)}
                                 />
                             )}
                             scrollEnabled={false} // Nested FlatList should not scroll
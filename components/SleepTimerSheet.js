@@ -0,0 +1,73 @@
+import React from 'react';
+import { StyleSheet, Text, View, Modal, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+
+import { AppTheme } from '../colors';
+import { usePlayer, useSleepTimerRemaining } from '../PlayerContext';
+import { SleepTimerMode, SLEEP_TIMER_DURATIONS, formatCountdown } from '../sleepTimer';
+
+const OptionRow = ({ label, icon, onPress, isDestructive }) => (
+  <TouchableOpacity style={styles.option} onPress={onPress}>
+    <Ionicons name={icon} size={22} color={isDestructive ? AppTheme.colors.notification : AppTheme.colors.text} />
+    <Text style={[styles.optionText, isDestructive && styles.destructiveText]}>{label}</Text>
+  </TouchableOpacity>
+);
+
+export default function SleepTimerSheet({ isVisible, onClose }) {
+  const { sleepTimer, setSleepTimer, cancelSleepTimer } = usePlayer();
+  const remainingMs = useSleepTimerRemaining();
+
+  const choose = (mode, durationMs) => {
+    setSleepTimer(mode, durationMs);
+    onClose();
+  };
+
+  const getStatusText = () => {
+    if (!sleepTimer) return 'Pause playback after a while. The volume fades out over the last 30 seconds.';
+    if (remainingMs != null) return `Stopping in ${formatCountdown(remainingMs)}`;
+    if (sleepTimer.mode === SleepTimerMode.END_OF_QUEUE) return 'Stopping at the end of the queue';
+    return 'Stopping at the end of this track';
+  };
+
+  return (
+    <Modal visible={isVisible} animationType="slide" transparent={true} onRequestClose={onClose}>
+      <TouchableOpacity style={styles.overlay} activeOpacity={1} onPress={onClose}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Sleep Timer</Text>
+          <Text style={styles.subtitle}>{getStatusText()}</Text>
+          {SLEEP_TIMER_DURATIONS.map(minutes => (
+            <OptionRow
+              key={minutes}
+              label={`${minutes} minutes`}
+              icon="time-outline"
+              onPress={() => choose(SleepTimerMode.DURATION, minutes * 60 * 1000)}
+            />
+          ))}
+          <OptionRow label="End of current track" icon="musical-note-outline" onPress={() => choose(SleepTimerMode.END_OF_TRACK)} />
+          <OptionRow label="End of queue" icon="list-outline" onPress={() => choose(SleepTimerMode.END_OF_QUEUE)} />
+          {sleepTimer && (
+            <OptionRow
+              label="Turn off timer"
+              icon="close-circle-outline"
+              isDestructive
+              onPress={() => {
+                cancelSleepTimer();
+                onClose();
+              }}
+            />
+          )}
+        </View>
+      </TouchableOpacity>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: { flex: 1, justifyContent: 'flex-end', backgroundColor: 'rgba(0,0,0,0.7)' },
+  sheet: { backgroundColor: AppTheme.colors.card, borderTopLeftRadius: 16, borderTopRightRadius: 16, padding: 20, paddingBottom: 40 },
+  title: { color: AppTheme.colors.text, fontSize: 20, fontWeight: 'bold' },
+  subtitle: { color: '#A0A0A0', fontSize: 14, marginTop: 4, marginBottom: 12 },
+  option: { flexDirection: 'row', alignItems: 'center', paddingVertical: 12 },
+  optionText: { color: AppTheme.colors.text, fontSize: 16, marginLeft: 14 },
+  destructiveText: { color: AppTheme.colors.notification },
+});
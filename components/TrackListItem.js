@@ -7,6 +7,9 @@ const TrackListItemComponent = ({
   track,
   onPress,
   onLongPress,
+  onMorePress,
+  onDownloadPress,
+  isDownloadQueued,
   isSelectionMode,
   isSelected,
 }) => {
@@ -58,6 +61,20 @@ const TrackListItemComponent = ({
           {artists}
         </Text>
       </View>
+      {!isSelectionMode && onDownloadPress && (
+        <TouchableOpacity onPress={onDownloadPress} style={styles.moreButton} disabled={isDownloadQueued}>
+          <Ionicons
+            name={isDownloadQueued ? 'checkmark-circle' : 'arrow-down-circle-outline'}
+            size={24}
+            color={isDownloadQueued ? AppTheme.colors.primary : '#A0A0A0'}
+          />
+        </TouchableOpacity>
+      )}
+      {!isSelectionMode && onMorePress && (
+        <TouchableOpacity onPress={onMorePress} style={styles.moreButton}>
+          <Ionicons name="ellipsis-vertical" size={20} color="#A0A0A0" />
+        </TouchableOpacity>
+      )}
       {isSelectionMode && (
         <Ionicons
           name={isSelected ? 'checkbox' : 'checkbox-outline'}
@@ -102,4 +119,7 @@ const styles = StyleSheet.create({
     fontSize: 14,
     marginTop: 2,
   },
+  moreButton: {
+    padding: 8,
+  },
 });
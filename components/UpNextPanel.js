@@ -0,0 +1,214 @@
+import React, { useRef, useState } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  Image,
+  Modal,
+  FlatList,
+  TouchableOpacity,
+  Animated,
+  PanResponder,
+  Dimensions,
+  Switch,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+
+import { AppTheme } from '../colors';
+import { usePlayer } from '../PlayerContext';
+
+const { width: SCREEN_WIDTH } = Dimensions.get('window');
+const ROW_HEIGHT = 64;
+const SWIPE_REMOVE_THRESHOLD = SCREEN_WIDTH / 3;
+
+const getArtistNames = (artists) => {
+  if (!Array.isArray(artists) || artists.length === 0) return 'Unknown Artist';
+  return artists.map(a => (typeof a === 'string' ? a : a?.name)).filter(Boolean).join(', ');
+};
+
+const getImageUri = (track) => track.thumbnailUri
+  || track.album?.images?.[0]?.url
+  || 'https://placehold.co/64x64/1F2F3A/FFFFFF?text=?';
+
+/**
+ * A single upcoming track. Swipe left to remove it, or drag the handle up/down
+ * to move it. Moves snap to whole rows once the handle is released.
+ */
+const UpNextRow = ({ track, onPress, onRemove, onMove, onDragStateChange }) => {
+  const translateX = useRef(new Animated.Value(0)).current;
+  const translateY = useRef(new Animated.Value(0)).current;
+  const [isDragging, setIsDragging] = useState(false);
+
+  // The responders are created once, so they read the latest callbacks from a ref.
+  const callbacksRef = useRef({});
+  callbacksRef.current = { onRemove, onMove, onDragStateChange };
+
+  const swipeResponder = useRef(
+    PanResponder.create({
+      onMoveShouldSetPanResponder: (_, gestureState) =>
+        Math.abs(gestureState.dx) > 10 && Math.abs(gestureState.dx) > Math.abs(gestureState.dy),
+      onPanResponderMove: (_, gestureState) => {
+        if (gestureState.dx < 0) translateX.setValue(gestureState.dx);
+      },
+      onPanResponderRelease: (_, gestureState) => {
+        if (gestureState.dx < -SWIPE_REMOVE_THRESHOLD) {
+          Animated.timing(translateX, { toValue: -SCREEN_WIDTH, duration: 200, useNativeDriver: true }).start(() => {
+            callbacksRef.current.onRemove();
+            // Rows are recycled by index, so reset for the track that takes this slot.
+            translateX.setValue(0);
+          });
+        } else {
+          Animated.spring(translateX, { toValue: 0, useNativeDriver: true }).start();
+        }
+      },
+    })
+  ).current;
+
+  const dragResponder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onPanResponderTerminationRequest: () => false,
+      onPanResponderGrant: () => {
+        setIsDragging(true);
+        callbacksRef.current.onDragStateChange(true);
+      },
+      onPanResponderMove: (_, gestureState) => {
+        translateY.setValue(gestureState.dy);
+      },
+      onPanResponderRelease: (_, gestureState) => {
+        const offset = Math.round(gestureState.dy / ROW_HEIGHT);
+        translateY.setValue(0);
+        setIsDragging(false);
+        callbacksRef.current.onDragStateChange(false);
+        if (offset !== 0) callbacksRef.current.onMove(offset);
+      },
+    })
+  ).current;
+
+  return (
+    <Animated.View
+      style={[
+        styles.row,
+        isDragging && styles.draggingRow,
+        { transform: [{ translateX }, { translateY }] },
+      ]}
+      {...swipeResponder.panHandlers}
+    >
+      <TouchableOpacity style={styles.rowContent} onPress={onPress}>
+        <Image source={{ uri: getImageUri(track) }} style={styles.thumbnail} />
+        <View style={styles.info}>
+          <Text style={styles.title} numberOfLines={1}>{track.name}</Text>
+          <Text style={styles.artist} numberOfLines={1}>{getArtistNames(track.artists)}</Text>
+        </View>
+      </TouchableOpacity>
+      <View style={styles.dragHandle} {...dragResponder.panHandlers}>
+        <Ionicons name="reorder-three" size={28} color="#A0A0A0" />
+      </View>
+    </Animated.View>
+  );
+};
+
+export default function UpNextPanel({ isVisible, onClose }) {
+  const { queue, queueIndex, playOrder, moveInQueue, removeFromQueue, clearUpcoming, skipTo, autoplayEnabled, setAutoplayEnabled } = usePlayer();
+  const [isScrollEnabled, setIsScrollEnabled] = useState(true);
+
+  const nowPlaying = queue[queueIndex];
+  // Upcoming list rows follow the play order (shuffled or not), starting right after the current track.
+  const currentPosition = playOrder.indexOf(queueIndex);
+  const upcomingIndices = playOrder.slice(currentPosition + 1);
+  const upcoming = upcomingIndices.map(index => queue[index]);
+  const toQueueIndex = (rowIndex) => upcomingIndices[rowIndex];
+
+  const handleMove = (rowIndex, offset) => {
+    const fromPosition = currentPosition + 1 + rowIndex;
+    const toPosition = Math.min(Math.max(fromPosition + offset, currentPosition + 1), playOrder.length - 1);
+    moveInQueue(fromPosition, toPosition);
+  };
+
+  return (
+    <Modal visible={isVisible} animationType="slide" onRequestClose={onClose}>
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>Up Next</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Ionicons name="close" size={28} color={AppTheme.colors.text} />
+          </TouchableOpacity>
+        </View>
+
+        {nowPlaying && (
+          <View style={styles.nowPlaying}>
+            <Text style={styles.sectionLabel}>Now Playing</Text>
+            <View style={styles.rowContent}>
+              <Image source={{ uri: getImageUri(nowPlaying) }} style={styles.thumbnail} />
+              <View style={styles.info}>
+                <Text style={[styles.title, styles.activeTitle]} numberOfLines={1}>{nowPlaying.name}</Text>
+                <Text style={styles.artist} numberOfLines={1}>{getArtistNames(nowPlaying.artists)}</Text>
+              </View>
+            </View>
+          </View>
+        )}
+
+        <View style={styles.sectionHeader}>
+          <Text style={styles.sectionLabel}>Next in Queue</Text>
+          {upcoming.length > 0 && (
+            <TouchableOpacity onPress={clearUpcoming}>
+              <Text style={styles.clearButtonText}>Clear upcoming</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
+        <FlatList
+          data={upcoming}
+          keyExtractor={(item, index) => `${item.id}-${index}`}
+          scrollEnabled={isScrollEnabled}
+          getItemLayout={(_, index) => ({ length: ROW_HEIGHT, offset: ROW_HEIGHT * index, index })}
+          renderItem={({ item, index }) => (
+            <UpNextRow
+              track={item}
+              onPress={() => skipTo(toQueueIndex(index))}
+              onRemove={() => removeFromQueue(toQueueIndex(index))}
+              onMove={(offset) => handleMove(index, offset)}
+              onDragStateChange={(isDragging) => setIsScrollEnabled(!isDragging)}
+            />
+          )}
+          ListEmptyComponent={<Text style={styles.emptyText}>Nothing else is queued.</Text>}
+          contentContainerStyle={{ paddingBottom: 40 }}
+        />
+
+        <View style={styles.autoplayRow}>
+          <View style={styles.info}>
+            <Text style={styles.title}>Autoplay</Text>
+            <Text style={styles.artist}>Keep playing recommendations when the queue ends</Text>
+          </View>
+          <Switch
+            value={autoplayEnabled}
+            onValueChange={setAutoplayEnabled}
+            trackColor={{ true: AppTheme.colors.primary, false: AppTheme.colors.border }}
+          />
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: AppTheme.colors.background },
+  header: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', padding: 16 },
+  headerTitle: { fontSize: 22, fontWeight: 'bold', color: AppTheme.colors.text },
+  nowPlaying: { paddingHorizontal: 16, marginBottom: 10 },
+  sectionHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', paddingHorizontal: 16, paddingVertical: 10 },
+  sectionLabel: { color: '#A0A0A0', fontSize: 14, fontWeight: 'bold', textTransform: 'uppercase', marginBottom: 6 },
+  clearButtonText: { color: AppTheme.colors.primary, fontSize: 14 },
+  row: { height: ROW_HEIGHT, flexDirection: 'row', alignItems: 'center', paddingHorizontal: 16, backgroundColor: AppTheme.colors.background },
+  draggingRow: { backgroundColor: AppTheme.colors.card, zIndex: 10, elevation: 5 },
+  rowContent: { flex: 1, flexDirection: 'row', alignItems: 'center' },
+  thumbnail: { width: 48, height: 48, borderRadius: 4 },
+  info: { flex: 1, marginLeft: 12, justifyContent: 'center' },
+  title: { color: AppTheme.colors.text, fontSize: 16, fontWeight: '600' },
+  activeTitle: { color: AppTheme.colors.primary },
+  artist: { color: '#A0A0A0', fontSize: 14, marginTop: 2 },
+  dragHandle: { paddingLeft: 12, paddingVertical: 10 },
+  autoplayRow: { flexDirection: 'row', alignItems: 'center', paddingHorizontal: 16, paddingVertical: 12, borderTopWidth: 1, borderTopColor: AppTheme.colors.border },
+  emptyText: { color: '#A0A0A0', textAlign: 'center', marginTop: 20, fontSize: 16 },
+});
@@ -0,0 +1,18 @@
+import { Alert } from 'react-native';
+
+/**
+ * Shows the per-track overflow menu used by every track list.
+ * @param {object} track - The track the menu was opened for.
+ * @param {{playNext: Function, addToQueue: Function}} player - The queue actions from usePlayer().
+ */
+export const showTrackActions = (track, { playNext, addToQueue }) => {
+  Alert.alert(
+    track.name,
+    null,
+    [
+      { text: "Cancel", style: "cancel" },
+      { text: "Play Next", onPress: () => playNext(track) },
+      { text: "Add to Queue", onPress: () => addToQueue(track) },
+    ]
+  );
+};
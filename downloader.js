@@ -1,233 +1,897 @@
-import { getTrackDetails, processTrackBatch, getDownloadInfo, getLyrics } from './api';
+import { getTrackDetails, processTrackBatch, getDownloadInfo, getLyrics, DOWNLOAD_PROVIDERS } from './api';
 import * as storage from './storage';
-import { Buffer } from 'buffer';
-
-// Polyfill for Buffer if it's not available globally (common in React Native)
-if (!global.Buffer) {
-  global.Buffer = Buffer;
-}
+import * as FileSystem from 'expo-file-system';
+import * as Network from 'expo-network';
 
 // --- Private Helper Functions ---
 
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A reasonable minimum size in bytes for a valid audio file.
+const MINIMUM_AUDIO_FILE_SIZE = 10000; // 10 KB
+// Byte progress is reported at most this often per download.
+const PROGRESS_INTERVAL_MS = 500;
+
 /**
- * A wrapper for the fetch API that includes a retry mechanism. It now validates the size
- * of the response body directly to support chunked transfers.
- * @param {string} url - The URL to fetch.
- * @param {object} options - Fetch options.
- * @param {number} retries - The maximum number of retry attempts.
- * @param {number} delay - The delay in milliseconds between retries.
- * @returns {Promise<Response>} - The fetch response object.
- * @throws {Error} - Throws an error if all fetch attempts fail.
+ * Why a download failed. Failed queue items keep `{ code, message }` as their `error`.
  */
-const fetchWithRetry = async (url, options, retries = 4, delay =4000) => {
-    // A reasonable minimum size in bytes for a valid audio file.
-    const MINIMUM_FILE_SIZE = 10000; // 10 KB
+export const DownloadErrorCode = {
+    NO_VIDEO_ID: 'noVideoId',                   // The backend has no YouTube video for the track
+    NO_DOWNLOAD_URL: 'noDownloadUrl',           // Every download provider failed to give a URL
+    NETWORK: 'network',                         // The audio request failed or returned an error status
+    FILE_TOO_SMALL: 'fileTooSmall',             // The audio finished but was too small to be real
+    STORAGE: 'storage',                         // The track couldn't be written or recorded on the device
+    BACKEND_UNAVAILABLE: 'backendUnavailable',  // The run failed while talking to the backend
+    UNKNOWN: 'unknown',
+};
+
+// Failures that may well go away on their own; the rest need the user to retry them.
+const RETRYABLE_ERROR_CODES = new Set([
+    DownloadErrorCode.NO_DOWNLOAD_URL,
+    DownloadErrorCode.NETWORK,
+    DownloadErrorCode.FILE_TOO_SMALL,
+    DownloadErrorCode.BACKEND_UNAVAILABLE,
+    DownloadErrorCode.UNKNOWN,
+]);
+
+// Retryable failures are retried automatically this many times, waiting 1, 2, 4... minutes.
+const MAX_AUTO_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+const createDownloadError = (code, message) => Object.assign(new Error(message), { code });
+
+const createCancelledError = () => Object.assign(new Error('Download cancelled'), { isCancelled: true });
+
+/**
+ * Downloads a URL straight to a file, with a retry mechanism. The native side writes the
+ * response to disk in chunks, so even hour-long mixes never sit in JS memory. Each attempt
+ * writes to a `.part` file that is only moved into place once its size checks out.
+ * @param {string} url - The URL to download.
+ * @param {string} fileUri - Where the finished file should end up.
+ * @param {object} [options]
+ * @param {number} [options.retries] - The maximum number of attempts.
+ * @param {number} [options.delay] - The delay in milliseconds between attempts.
+ * @param {number} [options.minimumSize] - Files this size or smaller count as failed attempts.
+ * @param {(progress: {bytesWritten: number, totalBytes: number|null}) => void} [options.onProgress]
+ * `totalBytes` is null when the server doesn't send a length (chunked transfers).
+ * @param {{isCancelled: boolean, download: object|null}} [options.cancellation] - Holds the
+ * attempt in progress so it can be stopped; once `isCancelled` is set no further attempts are made.
+ * @returns {Promise<number>} - The size of the finished file in bytes.
+ * @throws {Error} - Throws an error with the DownloadErrorCode of the last failed attempt if all
+ * attempts fail, or one with `isCancelled` when cancelled.
+ */
+const downloadToFile = async (url, fileUri, { retries = 4, delay = 4000, minimumSize = 0, onProgress, cancellation } = {}) => {
+    const partUri = `${fileUri}.part`;
+    let lastFailure = null;
 
     for (let i = 0; i < retries; i++) {
+        if (cancellation?.isCancelled) throw createCancelledError();
+        let lastReportedAt = 0;
+        const download = FileSystem.createDownloadResumable(url, partUri, {}, ({ totalBytesWritten, totalBytesExpectedToWrite }) => {
+            const now = Date.now();
+            if (!onProgress || now - lastReportedAt < PROGRESS_INTERVAL_MS) return;
+            lastReportedAt = now;
+            onProgress({
+                bytesWritten: totalBytesWritten,
+                totalBytes: totalBytesExpectedToWrite > 0 ? totalBytesExpectedToWrite : null,
+            });
+        });
+
+        if (cancellation) cancellation.download = download;
+
         try {
-            const response = await fetch(url, options);
-            
-            if (response.ok) {
+            const result = await download.downloadAsync();
+            if (cancellation?.isCancelled) {
+                await FileSystem.deleteAsync(partUri, { idempotent: true });
+                throw createCancelledError();
+            }
+            if (result && result.status >= 200 && result.status < 300) {
                 // Since the server uses chunked transfer, we can't rely on the 'content-length' header.
-                // We must consume the response body to check its size.
-                // We clone the response so that the original body can still be used later.
-                const responseClone = response.clone();
-                const bodyArrayBuffer = await responseClone.arrayBuffer();
-
-                if (bodyArrayBuffer.byteLength > MINIMUM_FILE_SIZE) {
-                     return response; // Success! The file is valid.
+                // The size is checked on the finished file instead.
+                const { size } = await FileSystem.getInfoAsync(partUri, { size: true });
+                if (size > minimumSize) {
+                    await FileSystem.deleteAsync(fileUri, { idempotent: true });
+                    await FileSystem.moveAsync({ from: partUri, to: fileUri });
+                    onProgress?.({ bytesWritten: size, totalBytes: size });
+                    return size;
                 }
-                
-                // If the response is OK but the content is too small, the server is likely still processing.
-                console.warn(`[fetchWithRetry] Attempt ${i + 1}/${retries} for ${url} was OK but content size (${bodyArrayBuffer.byteLength} bytes) is too small. Retrying...`);
+
+                // If the response is OK but the file is too small, the server is likely still processing.
+                lastFailure = { code: DownloadErrorCode.FILE_TOO_SMALL, message: `The downloaded file was too small (${size} bytes).` };
+                console.warn(`[downloadToFile] Attempt ${i + 1}/${retries} for ${url} was OK but the file size (${size} bytes) is too small. Retrying...`);
             } else {
                 // Handle non-ok statuses (4xx, 5xx errors).
-                console.warn(`[fetchWithRetry] Attempt ${i + 1}/${retries} failed for ${url} with status ${response.status}. Retrying...`);
+                lastFailure = { code: DownloadErrorCode.NETWORK, message: `The download source responded with status ${result?.status}.` };
+                console.warn(`[downloadToFile] Attempt ${i + 1}/${retries} failed for ${url} with status ${result?.status}. Retrying...`);
             }
         } catch (error) {
-            // This catches network errors or errors from .arrayBuffer() if the stream is malformed.
-            console.warn(`[fetchWithRetry] Attempt ${i + 1}/${retries} for ${url} threw an error: ${error.message}. Retrying...`);
+            if (error.isCancelled) throw error;
+            // This catches network errors and failed file writes.
+            lastFailure = { code: DownloadErrorCode.NETWORK, message: `The download was interrupted: ${error.message}` };
+            console.warn(`[downloadToFile] Attempt ${i + 1}/${retries} for ${url} threw an error: ${error.message}. Retrying...`);
         }
+
+        await FileSystem.deleteAsync(partUri, { idempotent: true });
         // Don't wait after the last attempt.
         if (i < retries - 1) {
-            await new Promise(resolve => setTimeout(resolve, delay));
+            await sleep(delay);
         }
     }
     // If all retries fail, throw a final error.
-    throw new Error(`Failed to fetch ${url} after ${retries} attempts.`);
+    console.warn(`[downloadToFile] Failed to download ${url} after ${retries} attempts.`);
+    throw createDownloadError(lastFailure.code, lastFailure.message);
+};
+
+
+// --- Download provider ranking ---
+
+// Once a provider has this many results on record its counts are halved, so recent results
+// outweigh old ones and a provider that stops working drops down the ranking quickly.
+const PROVIDER_STATS_WINDOW = 50;
+
+// Loaded from storage on first use and kept in memory, so parallel downloads don't
+// overwrite each other's results.
+let providerStatsPromise = null;
+
+const loadProviderStats = () => {
+    if (!providerStatsPromise) providerStatsPromise = storage.getDownloadProviderStats();
+    return providerStatsPromise;
+};
+
+const recordProviderResult = async (providerId, success) => {
+    const stats = await loadProviderStats();
+    let { successes, failures } = stats[providerId] || { successes: 0, failures: 0 };
+    if (success) successes++;
+    else failures++;
+    if (successes + failures > PROVIDER_STATS_WINDOW) {
+        successes /= 2;
+        failures /= 2;
+    }
+    stats[providerId] = { successes, failures };
+    await storage.saveDownloadProviderStats(stats);
+};
+
+// Smoothed, so a provider with a single lucky result doesn't jump straight to the top.
+const getSuccessRate = ({ successes = 0, failures = 0 } = {}) => (successes + 1) / (successes + failures + 2);
+
+/**
+ * Orders the registered providers: the user's order first (any provider missing from it
+ * goes last), then, if ranking is on, by success rate, with the user's order breaking ties.
+ */
+const rankProviders = (order, stats, rankBySuccess) => {
+    const ordered = [
+        ...order.map(id => DOWNLOAD_PROVIDERS.find(p => p.id === id)).filter(Boolean),
+        ...DOWNLOAD_PROVIDERS.filter(p => !order.includes(p.id)),
+    ];
+    if (!rankBySuccess) return ordered;
+    return ordered
+        .map((provider, index) => ({ provider, index, rate: getSuccessRate(stats[provider.id]) }))
+        .sort((a, b) => b.rate - a.rate || a.index - b.index)
+        .map(({ provider }) => provider);
+};
+
+// Streaming waits on the URL, so a slow provider is given up on quickly in favour of the next.
+const STREAM_RESOLVE_TIMEOUT_MS = 15000;
+
+const getRankedProviders = async () => {
+    const [{ downloadProviderOrder, rankDownloadProviders }, stats] = await Promise.all([
+        storage.getSettings(),
+        loadProviderStats(),
+    ]);
+    return rankProviders(downloadProviderOrder, stats, rankDownloadProviders);
+};
+
+/**
+ * Downloads a track's audio, going down the ranked providers until one of them delivers a
+ * valid file. A provider counts as failed whether it had no URL or its URL didn't download.
+ * @param {string} videoId - The YouTube video ID.
+ * @param {string} songUri - Where the audio should end up.
+ * @param {object} options
+ * @param {Function} options.onResolving - Called before a provider is asked for a URL.
+ * @param {Function} options.onProgress - Passed on to downloadToFile.
+ * @param {object} options.cancellation - Passed on to downloadToFile.
+ * @returns {Promise<{downloadInfo: object, size: number}>}
+ * @throws {Error} With the DownloadErrorCode of the last failure, or one with `isCancelled`.
+ */
+const downloadAudio = async (videoId, songUri, { onResolving, onProgress, cancellation }) => {
+    const providers = await getRankedProviders();
+
+    let lastError = null;
+    for (const provider of providers) {
+        if (cancellation.isCancelled) throw createCancelledError();
+
+        let downloadInfo;
+        onResolving();
+        try {
+            downloadInfo = await provider.resolve(videoId);
+            if (!downloadInfo?.downloadUrl) throw new Error('No download URL in the response.');
+        } catch (error) {
+            console.warn(`[Downloader] ${provider.name} had no download URL for ${videoId}: ${error.message}. Trying the next provider.`);
+            recordProviderResult(provider.id, false);
+            continue;
+        }
+
+        try {
+            const size = await downloadToFile(downloadInfo.downloadUrl, songUri, { minimumSize: MINIMUM_AUDIO_FILE_SIZE, onProgress, cancellation });
+            recordProviderResult(provider.id, true);
+            return { downloadInfo: { ...downloadInfo, providerId: provider.id }, size };
+        } catch (error) {
+            if (error.isCancelled) throw error;
+            console.warn(`[Downloader] The audio from ${provider.name} failed: ${error.message}. Trying the next provider.`);
+            recordProviderResult(provider.id, false);
+            lastError = error;
+        }
+    }
+    throw lastError || createDownloadError(DownloadErrorCode.NO_DOWNLOAD_URL, 'None of the download sources had this track.');
+};
+
+/**
+ * Events published by the download manager (see DownloadManager.addListener). Per-track
+ * events carry the `trackId`; the payload of each is noted next to it.
+ */
+export const DownloadEvent = {
+    QUEUED: 'queued',               // { trackIds }
+    RESOLVING: 'resolving',         // Looking up the audio URL
+    DOWNLOADING: 'downloading',     // { bytesWritten, totalBytes, progress }; progress is 0-1, or null without a known size
+    SAVING: 'saving',               // Audio is on disk, the track is being recorded
+    DONE: 'done',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled',         // Stopped from the queue (removed or paused)
+    QUEUE_CHANGED: 'queueChanged', // { queue, isProcessing, stats }
 };
 
+const eventListeners = new Set();
+
+const publish = (event) => {
+    eventListeners.forEach(listener => listener(event));
+};
+
+// Audio downloads in flight, keyed by track ID, so they can be stopped from the queue.
+const runningDownloads = new Map();
 
 /**
- * Downloads all assets for a single track (audio, thumbnail, and now lyrics) and saves them to storage.
+ * Stops a track's download if it's running. Its `_downloadAndSave` then resolves as cancelled.
+ */
+const stopRunningDownload = async (trackId) => {
+    const cancellation = runningDownloads.get(trackId);
+    if (!cancellation) return;
+    cancellation.isCancelled = true;
+    try {
+        await cancellation.download?.cancelAsync();
+    } catch (error) {
+        console.warn(`[Downloader] Could not stop the download of ${trackId}.`, error.message);
+    }
+};
+
+/**
+ * Downloads all assets for a single track (audio, thumbnail, and lyrics) and saves them to storage.
+ * Audio and thumbnail are written straight to their files in the songs and thumbnails directories.
+ * Publishes the track's progress from RESOLVING through to DONE, FAILED or CANCELLED.
  * @param {object} trackDetails - The detailed track object from the backend, including the track ID.
- * @returns {Promise<{success: boolean, trackId: string}>} - An object indicating success and the track ID.
+ * @returns {Promise<{success: boolean, trackId: string, cancelled?: boolean, error?: {code: string, message: string}}>}
+ * - An object indicating success and the track ID, and why it failed if it did.
  */
 const _downloadAndSave = async (trackDetails) => {
     const { id, youtubeVideoId, spotifySongName, spotifyArtists, thumbnailId } = trackDetails;
 
+    const finish = (error = null) => {
+        publish(error
+            ? { type: DownloadEvent.FAILED, trackId: id, error }
+            : { type: DownloadEvent.DONE, trackId: id });
+        return error ? { success: false, trackId: id, error } : { success: true, trackId: id };
+    };
+
     if (!youtubeVideoId) {
         console.error(`[Downloader] No YouTube ID for track: ${id}.`);
-        return { success: false, trackId: id };
+        return finish({ code: DownloadErrorCode.NO_VIDEO_ID, message: "The server couldn't match this track to a video." });
     }
 
-    try {
-        // Step 1: Get the download URL for the audio
-        const downloadResult = await getDownloadInfo(youtubeVideoId);
-        if (!downloadResult?.downloadUrl) {
-            console.error(`[Downloader] No download URL received for videoId: ${youtubeVideoId}`);
-            return { success: false, trackId: id };
-        }
+    const { songUri, thumbnailUri } = storage.getTrackAssetUris(id);
+    const cancellation = { isCancelled: false, download: null };
+    runningDownloads.set(id, cancellation);
 
-        // Step 2: Fetch audio, thumbnail, and lyrics in parallel for efficiency
+    try {
+        // Step 1: Download audio (from the first provider that works) and thumbnail to disk
+        // and fetch lyrics, in parallel for efficiency
         console.log(`[Downloader] Fetching assets for "${spotifySongName}"...`);
         const artistNameString = spotifyArtists.join(',');
 
-        const [audioResponse, thumbResponse, lrcData] = await Promise.all([
-            fetchWithRetry(downloadResult.downloadUrl),
-            thumbnailId ? fetchWithRetry(`https://i.scdn.co/image/${thumbnailId}`, {}, 2, 1000) : Promise.resolve(null),
+        const downloadThumbnail = async () => {
+            if (!thumbnailId) return false;
+            try {
+                await downloadToFile(`https://i.scdn.co/image/${thumbnailId}`, thumbnailUri, { retries: 2, delay: 1000 });
+                return true;
+            } catch (error) {
+                console.warn(`[Downloader] Thumbnail fetch failed for ${spotifySongName}. Proceeding without thumbnail.`);
+                return false;
+            }
+        };
+
+        const onProgress = ({ bytesWritten, totalBytes }) => publish({
+            type: DownloadEvent.DOWNLOADING,
+            trackId: id,
+            bytesWritten,
+            totalBytes,
+            progress: totalBytes ? Math.min(bytesWritten / totalBytes, 1) : null,
+        });
+
+        const onResolving = () => publish({ type: DownloadEvent.RESOLVING, trackId: id });
+
+        const [{ downloadInfo, size: audioSize }, hasThumbnail, lrcData] = await Promise.all([
+            downloadAudio(youtubeVideoId, songUri, { onResolving, onProgress, cancellation }),
+            downloadThumbnail(),
             getLyrics(spotifySongName, artistNameString)
         ]).catch(err => {
             // This catch is for Promise.all. If audio fails, the whole thing should fail.
+            if (err.isCancelled) throw err;
             console.error(`[Downloader] A critical asset fetch failed for "${spotifySongName}".`, err.message);
             throw err;
         });
+        console.log(`[Downloader] Wrote ${(audioSize / (1024 * 1024)).toFixed(1)} MB of audio for "${spotifySongName}" from ${downloadInfo.source || downloadInfo.providerId}.`);
 
-        // Step 3: Process the fetched assets
-        const audioBinary = await audioResponse.arrayBuffer();
-        const songData = Buffer.from(audioBinary).toString('base64');
-        
-        let thumbnailData = null;
-        if (thumbResponse && thumbResponse.ok) {
-            const thumbnailBinary = await thumbResponse.arrayBuffer();
-            thumbnailData = Buffer.from(thumbnailBinary).toString('base64');
-        } else if (thumbnailId) {
-            console.warn(`[Downloader] Thumbnail fetch failed for ${spotifySongName}. Proceeding without thumbnail.`);
+        // The audio may have finished just as the download was stopped
+        if (cancellation.isCancelled) {
+            await FileSystem.deleteAsync(songUri, { idempotent: true });
+            throw createCancelledError();
+        }
+
+        // Step 2: Prepare metadata and record the track in storage
+        publish({ type: DownloadEvent.SAVING, trackId: id });
+        const metadata = { id, name: spotifySongName, artists: spotifyArtists, duration_ms: downloadInfo.durationMs || 0 };
+        const isSaved = await storage.addDownloadedTrack(metadata, { hasThumbnail, lrcData: lrcData || '' });
+        if (!isSaved) {
+            throw createDownloadError(DownloadErrorCode.STORAGE, "The track couldn't be saved on this device.");
         }
-        
-        // Step 4: Prepare metadata and save everything to storage
-        const metadata = { id, name: spotifySongName, artists: spotifyArtists, duration_ms: downloadResult.durationMs || 0 };
-        await storage.addDownloadedTrack(metadata, { songData, thumbnailData, lrcData: lrcData || '' });
 
         console.log(`[Downloader] Successfully processed: "${spotifySongName}"`);
-        return { success: true, trackId: id };
+        return finish();
 
     } catch (error) {
+        if (error.isCancelled) {
+            console.log(`[Downloader] Download of "${spotifySongName}" was cancelled.`);
+            publish({ type: DownloadEvent.CANCELLED, trackId: id });
+            return { success: false, trackId: id, cancelled: true };
+        }
         // This top-level catch will trigger if a critical part like audio download fails.
         console.error(`[Downloader] _downloadAndSave failed for "${spotifySongName}"`, error.message);
-        return { success: false, trackId: id };
+        return finish({ code: error.code || DownloadErrorCode.UNKNOWN, message: error.message });
+    } finally {
+        runningDownloads.delete(id);
+    }
+};
+
+// Backend polling starts quickly and backs off, so fast matches download right away
+// and slow ones don't hammer the backend.
+const POLL_INITIAL_DELAY_MS = 2000;
+const POLL_MAX_DELAY_MS = 30000;
+// How long one processing run waits for the backend before leaving tracks pending.
+const POLL_TIMEOUT_MS = 3 * 60 * 1000;
+// Pending tracks are sent to the backend again after this long.
+const BACKEND_RESUBMIT_MS = 30 * 60 * 1000;
+
+/**
+ * Polls the backend for tracks it is still matching to YouTube videos. Each track is
+ * handed to `onReady` as soon as its video ID appears, without waiting for the others.
+ * @param {Array<string>} trackIds - The Spotify track IDs to wait for.
+ * @param {(details: object) => void} onReady - Called with the track details, including the ID.
+ * @returns {Promise<Array<string>>} The IDs still pending when the time budget ran out.
+ */
+const pollForTrackDetails = async (trackIds, onReady) => {
+    let pending = [...trackIds];
+    let delay = POLL_INITIAL_DELAY_MS;
+    const deadline = Date.now() + POLL_TIMEOUT_MS;
+
+    while (pending.length > 0 && Date.now() + delay <= deadline) {
+        await sleep(delay);
+        try {
+            const details = await getTrackDetails(pending);
+            pending = pending.filter(id => {
+                if (!details?.[id]?.youtubeVideoId) return true;
+                onReady({ ...details[id], id });
+                return false;
+            });
+        } catch (error) {
+            console.warn(`[Downloader] Polling the backend failed: ${error.message}. Backing off.`);
+        }
+        delay = Math.min(delay * 2, POLL_MAX_DELAY_MS);
+    }
+    return pending;
+};
+
+// Queue writes are chained so downloads finishing at the same time (or tracks enqueued
+// mid-run) don't overwrite each other's changes to the stored queue.
+let queueWriteChain = Promise.resolve();
+
+const withQueueLock = (task) => {
+    const run = queueWriteChain.then(task);
+    queueWriteChain = run.catch(() => {});
+    return run;
+};
+
+/**
+ * Applies a change to the stored download queue.
+ * @param {(queue: Array<object>) => Array<object>} update - Returns the new queue.
+ * @returns {Promise<Array<object>>} The updated queue.
+ */
+const updateStoredQueue = (update) => withQueueLock(async () => {
+    const updated = update(await storage.getDownloadQueue());
+    await storage.updateDownloadQueue(updated);
+    return updated;
+});
+
+/**
+ * Marks a queue item as failed with the reason, and schedules an automatic retry
+ * (with exponential backoff) if the failure is retryable and retries are left.
+ * @param {object} item - The queue item.
+ * @param {{code: string, message: string}} error
+ * @returns {object} The updated queue item.
+ */
+const withFailure = (item, error) => {
+    const failureCount = (item.failureCount || 0) + 1;
+    const canRetry = RETRYABLE_ERROR_CODES.has(error.code) && failureCount <= MAX_AUTO_RETRIES;
+    return {
+        ...item,
+        status: 'failed',
+        error,
+        failureCount,
+        retryAt: canRetry ? Date.now() + RETRY_BASE_DELAY_MS * 2 ** (failureCount - 1) : null,
+    };
+};
+
+/**
+ * Whether a processing run should pick up a queue item. Failed items only come back
+ * once their automatic retry is due.
+ */
+const isReadyToProcess = (item, now = Date.now()) => item.status !== 'paused'
+    && (item.status !== 'failed' || (!!item.retryAt && item.retryAt <= now));
+
+/**
+ * Removes a downloaded track from the queue, or marks it as failed. Cancelled downloads are
+ * left as they are, since whoever cancelled them has already updated the queue.
+ */
+const applyDownloadResult = ({ success, trackId, cancelled, error }) => updateStoredQueue(queue => {
+    if (cancelled) return queue;
+    return success
+        ? queue.filter(t => t.id !== trackId)
+        : queue.map(t => (t.id === trackId ? withFailure(t, error) : t));
+});
+
+/**
+ * Whether the device is on a network that's fine for large downloads (Wi-Fi or Ethernet).
+ */
+const isOnUnmeteredNetwork = async () => {
+    try {
+        const { type, isConnected } = await Network.getNetworkStateAsync();
+        return isConnected && (type === Network.NetworkStateType.WIFI || type === Network.NetworkStateType.ETHERNET);
+    } catch (error) {
+        console.warn('[Downloader] Could not read the network state.', error);
+        return false;
+    }
+};
+
+// How many tracks are sent to the backend at once.
+const BATCH_SIZE = 30;
+// The upper bound offered for the downloadConcurrency setting.
+export const MAX_DOWNLOAD_CONCURRENCY = 6;
+
+/**
+ * A minimal worker pool: at most `limit` tasks run at once and the rest wait their turn.
+ * Tasks can be added at any time, e.g. as tracks become ready while polling.
+ */
+const createWorkerPool = (limit) => {
+    let active = 0;
+    const waiting = [];
+
+    const runNext = () => {
+        if (active >= limit || waiting.length === 0) return;
+        const { task, resolve, reject } = waiting.shift();
+        active++;
+        task().then(resolve, reject).finally(() => {
+            active--;
+            runNext();
+        });
+    };
+
+    return {
+        run: (task) => new Promise((resolve, reject) => {
+            waiting.push({ task, resolve, reject });
+            runNext();
+        }),
+        getActiveCount: () => active,
+        getWaitingCount: () => waiting.length,
+    };
+};
+
+/**
+ * Takes one batch through the three steps: download what the backend already knows,
+ * send the rest for processing, then poll and download each track as it's matched.
+ * Downloads are handed to the run's worker pool, so this returns before they finish.
+ * @param {Array<object>} batch - Queue items.
+ * @param {{download: Function, stats: object, reportProgress: Function}} run - The current run.
+ */
+const _processBatch = async (batch, { download, stats, reportProgress }) => {
+    const trackIdsToProcess = batch.map(t => t.id);
+    reportProgress(await updateStoredQueue(q => q.map(t => (trackIdsToProcess.includes(t.id) ? { ...t, status: 'processing' } : t))));
+
+    console.log(`[Step 1/3] Checking for ${trackIdsToProcess.length} cached tracks...`);
+    const initialDetails = await getTrackDetails(trackIdsToProcess);
+
+    const tracksToDownloadImmediately = trackIdsToProcess
+        .map(id => ({ ...initialDetails[id], id }))
+        .filter(details => details.youtubeVideoId);
+
+    const tracksNeedingProcessing = trackIdsToProcess
+        .filter(id => !initialDetails[id]?.youtubeVideoId);
+
+    // Cached tracks start downloading while the rest go through the backend
+    tracksToDownloadImmediately.forEach(download);
+    if (tracksToDownloadImmediately.length > 0) {
+        console.log(`[Step 1/3] Found ${tracksToDownloadImmediately.length} cached tracks. Downloading immediately.`);
+    } else {
+        console.log('[Step 1/3] No cached tracks found.');
+    }
+
+    if (tracksNeedingProcessing.length > 0) {
+        // Tracks sent in an earlier round are only polled again, unless the backend has had
+        // them for so long that the request was probably lost.
+        const now = Date.now();
+        const tracksToSubmit = tracksNeedingProcessing.filter(id => {
+            const requestedAt = batch.find(t => t.id === id)?.backendRequestedAt;
+            return !requestedAt || now - requestedAt > BACKEND_RESUBMIT_MS;
+        });
+        if (tracksToSubmit.length > 0) {
+            console.log(`[Step 2/3] Sending ${tracksToSubmit.length} new tracks for processing.`);
+            await processTrackBatch(tracksToSubmit);
+            await updateStoredQueue(q => q.map(t => (tracksToSubmit.includes(t.id) ? { ...t, backendRequestedAt: now } : t)));
+        }
+
+        console.log(`[Step 3/3] Polling the backend for ${tracksNeedingProcessing.length} tracks...`);
+        const stillPending = await pollForTrackDetails(tracksNeedingProcessing, (details) => {
+            console.log(`[Step 3/3] "${details.spotifySongName}" is ready. Downloading.`);
+            download(details);
+        });
+
+        if (stillPending.length > 0) {
+            console.log(`[Step 3/3] ${stillPending.length} tracks are still pending on the backend. They will be checked again on the next run.`);
+            stats.pendingBackend += stillPending.length;
+            reportProgress(await updateStoredQueue(q => q.map(t => (
+                stillPending.includes(t.id) && t.status === 'processing' ? { ...t, status: 'pending_backend' } : t
+            ))));
+        }
+    } else {
+        console.log(`[Step 2/3] No tracks needed backend processing.`);
     }
 };
 
 // --- Public Download Manager ---
 
 let isProcessing = false;
+// Set when processing is requested during a run, so another run picks up whatever
+// was enqueued after the current batch was read. 'manual' when the user asked for the run,
+// which goes ahead whatever the settings; 'auto' when it must pass autoProcessQueue's checks.
+let rerunRequest = null;
+
+const publishQueue = (queue, stats = null) => {
+    publish({ type: DownloadEvent.QUEUE_CHANGED, queue, isProcessing, stats });
+};
+
+let retryTimeout = null;
+
+/**
+ * Whether a queue item is processed even with automatic downloads off: an automatic retry
+ * carries on the run that failed, and a streamed track is saved because the user turned on
+ * "Save streamed tracks".
+ */
+const runsWithAutoDownloadsOff = (item) => item.status === 'failed' || !!item.isStreamSave;
+
+const hasItemToRunWithAutoDownloadsOff = async () => {
+    const now = Date.now();
+    const queue = await storage.getDownloadQueue();
+    return queue.some(t => runsWithAutoDownloadsOff(t) && isReadyToProcess(t, now));
+};
+
+// A retry asked for by the user starts over, with a fresh set of automatic retries.
+const MANUAL_RETRY = { status: 'queued', error: null, failureCount: 0, retryAt: null };
+
+/**
+ * Sets a timer for the earliest automatic retry in the queue, replacing any earlier timer.
+ */
+const scheduleAutoRetry = (queue) => {
+    clearTimeout(retryTimeout);
+    retryTimeout = null;
+
+    const retryTimes = queue.filter(t => t.status === 'failed' && t.retryAt).map(t => t.retryAt);
+    if (retryTimes.length === 0) return;
+
+    const delay = Math.max(Math.min(...retryTimes) - Date.now(), 0);
+    console.log(`[Downloader] Retrying failed downloads in ${Math.round(delay / 1000)}s.`);
+    retryTimeout = setTimeout(() => {
+        retryTimeout = null;
+        DownloadManager.autoProcessQueue();
+    }, delay);
+};
 
 const DownloadManager = {
-    enqueueTrack: async (trackData) => {
-      await storage.addTrackToDownloadQueue(trackData);
-      console.log(`[Downloader] Enqueued "${trackData.name}". Queue processing must be started manually.`);
+    /**
+     * Adds a track to the download queue and starts processing if automatic downloads allow it.
+     * @param {object} trackData - The track object from Spotify.
+     * @param {{atFront?: boolean, isStreamSave?: boolean}} [options] - `atFront` puts the track
+     * first in line. `isStreamSave` downloads it even with automatic downloads off.
+     */
+    enqueueTrack: async (trackData, { atFront = false, isStreamSave = false } = {}) => {
+      const queue = await withQueueLock(async () => {
+        let updated = await storage.addTrackToDownloadQueue(trackData);
+        if (isStreamSave) updated = await storage.updateDownloadQueueItems(t => t.id === trackData.id, { isStreamSave: true });
+        return atFront ? storage.moveToTopOfDownloadQueue(trackData.id) : updated;
+      });
+      console.log(`[Downloader] Enqueued "${trackData.name}"${atFront ? ' at the front of the queue' : ''}.`);
+      publish({ type: DownloadEvent.QUEUED, trackIds: [trackData.id] });
+      publishQueue(queue);
+      DownloadManager.autoProcessQueue();
+    },
+
+    /**
+     * Enqueues several tracks, one after the other since each enqueue rewrites the stored queue.
+     * Auto-processing is only kicked off once, after all of them are in.
+     * @param {Array<object>} tracks - Track objects from Spotify.
+     */
+    enqueueTracks: async (tracks) => {
+        let queue = [];
+        for (const trackData of tracks) {
+            queue = await withQueueLock(() => storage.addTrackToDownloadQueue(trackData));
+        }
+        console.log(`[Downloader] Enqueued ${tracks.length} tracks.`);
+        publish({ type: DownloadEvent.QUEUED, trackIds: tracks.map(t => t.id) });
+        publishQueue(queue);
+        DownloadManager.autoProcessQueue();
     },
 
-    processQueue: async (onProgress) => {
+    /**
+     * Removes every track from the download queue, stopping any downloads in flight.
+     */
+    clearQueue: async () => {
+        const queue = await storage.getDownloadQueue();
+        await Promise.all(queue.map(t => stopRunningDownload(t.id)));
+        publishQueue(await updateStoredQueue(() => []));
+    },
+
+    /**
+     * Removes a track from the download queue. If it's downloading, the download is cancelled.
+     * @param {string} trackId - The ID of the track to remove.
+     */
+    removeFromQueue: async (trackId) => {
+        await stopRunningDownload(trackId);
+        publishQueue(await withQueueLock(() => storage.removeFromDownloadQueue(trackId)));
+    },
+
+    /**
+     * Holds a track back from processing until it's resumed. A running download is stopped
+     * and starts over when the track is resumed.
+     * @param {string} trackId - The ID of the track to pause.
+     */
+    pauseTrack: async (trackId) => {
+        await stopRunningDownload(trackId);
+        publishQueue(await withQueueLock(() => storage.updateDownloadQueueItems(t => t.id === trackId, { status: 'paused' })));
+    },
+
+    /**
+     * Puts a paused track back in the queue.
+     * @param {string} trackId - The ID of the track to resume.
+     */
+    resumeTrack: async (trackId) => {
+        publishQueue(await withQueueLock(() => storage.updateDownloadQueueItems(t => t.id === trackId && t.status === 'paused', { status: 'queued' })));
+        DownloadManager.autoProcessQueue();
+    },
+
+    /**
+     * Queues a failed track again with a fresh set of automatic retries, and processes the
+     * queue right away, whatever the automatic download settings, since the user asked for it.
+     * @param {string} trackId - The ID of the track to retry.
+     */
+    retryTrack: async (trackId) => {
+        publishQueue(await withQueueLock(() => storage.updateDownloadQueueItems(t => t.id === trackId && t.status === 'failed', MANUAL_RETRY)));
+        DownloadManager.processQueue();
+    },
+
+    /**
+     * Queues every failed track again and processes the queue right away.
+     */
+    retryAllFailed: async () => {
+        publishQueue(await withQueueLock(() => storage.updateDownloadQueueItems(t => t.status === 'failed', MANUAL_RETRY)));
+        DownloadManager.processQueue();
+    },
+
+    /**
+     * Moves a track to the front of the queue, so the next batch picks it up first.
+     * @param {string} trackId - The ID of the track to move.
+     */
+    moveToTop: async (trackId) => {
+        publishQueue(await withQueueLock(() => storage.moveToTopOfDownloadQueue(trackId)));
+    },
+
+    /**
+     * Starts processing the queue in the background if the network is allowed by the Wi-Fi
+     * only setting. With automatic downloads off, only due automatic retries and streamed tracks
+     * being saved are processed. Safe to call at any time.
+     */
+    autoProcessQueue: async () => {
+        const { autoProcessDownloads, downloadOnWifiOnly } = await storage.getSettings();
+        const autoDownloadsOff = !autoProcessDownloads;
+        if (autoDownloadsOff && !(await hasItemToRunWithAutoDownloadsOff())) return;
+        if (downloadOnWifiOnly && !(await isOnUnmeteredNetwork())) {
+            console.log('[Downloader] Waiting for Wi-Fi before processing the queue.');
+            return;
+        }
+        if (isProcessing) {
+            if (!rerunRequest) rerunRequest = 'auto';
+            return;
+        }
+        await DownloadManager.processQueue({ autoDownloadsOff });
+    },
+
+    isProcessing: () => isProcessing,
+
+    /**
+     * Subscribes to download events, including those from background processing.
+     * @param {(event: {type: string, trackId?: string}) => void} listener - Receives DownloadEvent
+     * objects. QUEUE_CHANGED's `stats` holds the running counts while a run is in progress
+     * (see processQueue) and is null otherwise.
+     * @returns {Function} Unsubscribes the listener.
+     */
+    addListener: (listener) => {
+        eventListeners.add(listener);
+        return () => eventListeners.delete(listener);
+    },
+
+    /**
+     * The download providers in the order they'll be tried, with their recent results.
+     * @returns {Promise<Array<{id: string, name: string, successes: number, failures: number, successRate: number|null}>>}
+     * `successRate` is 0-1, or null for a provider with no results yet.
+     */
+    getDownloadProviders: async () => {
+        const [providers, stats] = await Promise.all([getRankedProviders(), loadProviderStats()]);
+        return providers.map(({ id, name }) => {
+            const { successes = 0, failures = 0 } = stats[id] || {};
+            const total = successes + failures;
+            return { id, name, successes, failures, successRate: total > 0 ? successes / total : null };
+        });
+    },
+
+    /**
+     * Forgets every provider's results, so the ranking falls back to the user's order.
+     */
+    resetProviderStats: async () => {
+        providerStatsPromise = Promise.resolve({});
+        await storage.saveDownloadProviderStats({});
+    },
+
+    /**
+     * Resolves a remote audio URL for a track that isn't downloaded, so it can be streamed.
+     * @param {object} trackData - The track object from Spotify.
+     * @returns {Promise<{details: object, downloadResult: object}|null>} - null if the backend
+     * hasn't matched the track to a YouTube video yet.
+     */
+    resolveStream: async (trackData) => {
+        const allDetails = await getTrackDetails([trackData.id]);
+        const details = allDetails?.[trackData.id];
+        if (!details?.youtubeVideoId) {
+            console.log(`[Downloader] "${trackData.name}" has not been processed by the backend yet. Cannot stream.`);
+            return null;
+        }
+
+        const downloadResult = await getDownloadInfo(details.youtubeVideoId, await getRankedProviders(), {
+            timeoutMs: STREAM_RESOLVE_TIMEOUT_MS,
+            onResult: recordProviderResult,
+        });
+        if (!downloadResult?.downloadUrl) return null;
+
+        return { details: { ...details, id: trackData.id }, downloadResult };
+    },
+
+    /**
+     * Saves a track that is currently being streamed. It goes through the download queue like
+     * any other track, just first in line, so it never races a queued download of itself. It is
+     * downloaded whether or not automatic downloads are on, subject to the Wi-Fi only setting.
+     * @param {object} trackData - The track object from Spotify.
+     */
+    saveStreamedTrack: (trackData) => {
+        console.log(`[Downloader] Saving streamed track "${trackData.name}" in the background...`);
+        return DownloadManager.enqueueTrack(trackData, { atFront: true, isStreamSave: true });
+    },
+
+    /**
+     * Works through the whole download queue in batches until every track has been tried once.
+     * Downloads run in a worker pool bounded by the `downloadConcurrency` setting. Tracks that
+     * fail or are still pending on the backend stay in the queue for a later run. Progress is
+     * published as QUEUE_CHANGED events with the running counts:
+     * { completed, failed, pendingBackend, downloading, queued }.
+     * @param {{autoDownloadsOff: boolean}} [options] - With autoDownloadsOff, only the tracks that
+     * go ahead with automatic downloads off are processed (see runsWithAutoDownloadsOff).
+     */
+    processQueue: async ({ autoDownloadsOff = false } = {}) => {
         if (isProcessing) {
-            console.log('[Downloader] Already processing. Aborting new run.');
+            console.log('[Downloader] Already processing. Another run will start when this one finishes.');
+            rerunRequest = 'manual';
             return;
         }
 
         isProcessing = true;
-        console.log('[Downloader] Starting 3-way queue processing...');
+        rerunRequest = null;
+
+        const { downloadConcurrency } = await storage.getSettings();
+        const pool = createWorkerPool(Math.min(Math.max(downloadConcurrency, 1), MAX_DOWNLOAD_CONCURRENCY));
+        const attempted = new Set(); // Tracks already picked up by this run
+        const stats = { completed: 0, failed: 0, pendingBackend: 0 };
+        const isPending = (t) => !attempted.has(t.id) && isReadyToProcess(t) && (!autoDownloadsOff || runsWithAutoDownloadsOff(t));
+
+        const reportProgress = (queue) => {
+            const runningStats = {
+                ...stats,
+                downloading: pool.getActiveCount(),
+                queued: pool.getWaitingCount() + queue.filter(isPending).length,
+            };
+            publishQueue(queue, runningStats);
+        };
+        // Downloads outlive the batch that started them, so the next batch can go through
+        // the backend while they finish.
+        const downloads = [];
+        const handedToPool = new Set();
+        const download = (details) => {
+            handedToPool.add(details.id);
+            downloads.push(pool.run(async () => {
+                // The track may have been removed or paused while it waited for the backend or the pool
+                const item = (await storage.getDownloadQueue()).find(t => t.id === details.id);
+                if (!item || item.status === 'paused') return { success: false, trackId: details.id, cancelled: true };
+                return _downloadAndSave(details);
+            }).then(async (result) => {
+                if (!result.cancelled) stats[result.success ? 'completed' : 'failed']++;
+                reportProgress(await applyDownloadResult(result));
+            }));
+        };
+
+        console.log(`[Downloader] Starting queue processing with ${downloadConcurrency} parallel downloads...`);
         
         try {
-            let queue = await storage.getDownloadQueue();
-            if (queue.length === 0) {
-                console.log('[Downloader] Queue is empty.');
-                isProcessing = false;
-                onProgress?.([]);
-                return;
-            }
+            let batchNumber = 0;
+            while (true) {
+                const queue = await storage.getDownloadQueue();
+                const batch = queue.filter(isPending).slice(0, BATCH_SIZE);
+                if (batch.length === 0) break;
 
-            const batchToProcess = queue.slice(0, 30);
-            let trackIdsToProcess = batchToProcess.map(t => t.id);
-
-            queue.forEach(t => { if (trackIdsToProcess.includes(t.id)) t.status = 'processing'; });
-            await storage.updateDownloadQueue(queue);
-            onProgress?.(queue);
-            
-            console.log(`[Step 1/3] Checking for ${trackIdsToProcess.length} cached tracks...`);
-            const initialDetails = await getTrackDetails(trackIdsToProcess);
-
-            const tracksToDownloadImmediately = trackIdsToProcess
-                .map(id => ({ ...initialDetails[id], id }))
-                .filter(details => details.youtubeVideoId);
-            
-            let tracksNeedingProcessing = trackIdsToProcess
-                .filter(id => !initialDetails[id]?.youtubeVideoId);
-
-            if (tracksToDownloadImmediately.length > 0) {
-                console.log(`[Step 1/3] Found ${tracksToDownloadImmediately.length} cached tracks. Downloading immediately.`);
-                const downloadPromises = tracksToDownloadImmediately.map(details => _downloadAndSave(details));
-                const results = await Promise.all(downloadPromises);
-
-                let currentQueue = await storage.getDownloadQueue();
-                results.forEach(({ success, trackId }) => {
-                    if (success) {
-                        currentQueue = currentQueue.filter(t => t.id !== trackId);
-                    } else {
-                        const trackInQueue = currentQueue.find(t => t.id === trackId);
-                        if (trackInQueue) trackInQueue.status = 'failed';
-                    }
-                });
-                await storage.updateDownloadQueue(currentQueue);
-                onProgress?.(currentQueue);
-            } else {
-                console.log('[Step 1/3] No cached tracks found.');
+                batchNumber++;
+                batch.forEach(t => attempted.add(t.id));
+                console.log(`[Downloader] Batch ${batchNumber}: ${batch.length} tracks.`);
+                await _processBatch(batch, { download, stats, reportProgress });
             }
-
-            if (tracksNeedingProcessing.length > 0) {
-                console.log(`[Step 2/3] Sending ${tracksNeedingProcessing.length} new tracks for processing.`);
-                await processTrackBatch(tracksNeedingProcessing);
-                
-                console.log('[Step 2/3] Waiting 20 seconds for backend processing...');
-                await new Promise(resolve => setTimeout(resolve, 20000));
-
-                console.log(`[Step 3/3] Fetching details for ${tracksNeedingProcessing.length} newly processed tracks.`);
-                const finalDetails = await getTrackDetails(tracksNeedingProcessing);
-                
-                const tracksToDownloadNow = tracksNeedingProcessing
-                    .map(id => ({ ...finalDetails[id], id }))
-                    .filter(details => details.youtubeVideoId);
-
-                if (tracksToDownloadNow.length > 0) {
-                    console.log(`[Step 3/3] Downloading ${tracksToDownloadNow.length} newly processed tracks.`);
-                    const downloadPromises = tracksToDownloadNow.map(details => _downloadAndSave(details));
-                    const results = await Promise.all(downloadPromises);
-
-                    let currentQueue = await storage.getDownloadQueue();
-                    results.forEach(({ success, trackId }) => {
-                        if (success) {
-                            currentQueue = currentQueue.filter(t => t.id !== trackId);
-                        } else {
-                            const trackInQueue = currentQueue.find(t => t.id === trackId);
-                            if (trackInQueue) trackInQueue.status = 'failed';
-                        }
-                    });
-                    await storage.updateDownloadQueue(currentQueue);
-                    onProgress?.(currentQueue);
-                }
-            } else {
-                 console.log(`[Step 2/3] No tracks needed backend processing.`);
+            await Promise.all(downloads);
+            if (batchNumber === 0) {
+                console.log('[Downloader] Queue is empty.');
             }
-
+            console.log(`[Downloader] Run complete: ${stats.completed} downloaded, ${stats.failed} failed, ${stats.pendingBackend} pending.`);
         } catch (error) {
             console.error('[Downloader] A critical error occurred during queue processing:', error);
-            let queue = await storage.getDownloadQueue();
-            queue.forEach(t => { if (t.status === 'processing') t.status = 'failed' });
-            await storage.updateDownloadQueue(queue);
-            onProgress?.(queue);
+            // Downloads already handed to the pool record their own result; wait for them so the
+            // run doesn't end (and a retry start) while they're still writing their files.
+            await Promise.allSettled(downloads);
+            const failure = { code: DownloadErrorCode.BACKEND_UNAVAILABLE, message: "Couldn't reach the server." };
+            reportProgress(await updateStoredQueue(q => q.map(t => (
+                t.status === 'processing' && !handedToPool.has(t.id) ? withFailure(t, failure) : t
+            ))));
         } finally {
             isProcessing = false;
             console.log('[Downloader] Processing finished.');
+            const queue = await storage.getDownloadQueue();
+            publishQueue(queue);
+            scheduleAutoRetry(queue);
+
+            const rerun = rerunRequest;
+            rerunRequest = null;
+            const logRerunError = (e) => console.error('[Downloader] The next run failed to start.', e);
+            if (rerun === 'manual') {
+                DownloadManager.processQueue().catch(logRerunError);
+            } else if (rerun === 'auto') {
+                DownloadManager.autoProcessQueue().catch(logRerunError);
+            }
         }
     }
 };
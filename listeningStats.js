@@ -0,0 +1,331 @@
+/**
+ * @file listeningStats.js
+ * @description Pure listening-time accounting for the player. A listen session is
+ * advanced by playback status updates and only counts wall-clock time while audio
+ * is actually playing, so pauses, seeks and playback speed don't skew the stats.
+ * The second half aggregates the stored daily buckets for the Stats screen.
+ */
+
+// A listen counts as a "play" after 30 seconds or half the track, whichever comes first.
+export const PLAY_THRESHOLD_MS = 30000;
+export const PLAY_THRESHOLD_RATIO = 0.5;
+
+// Gaps between status updates longer than this (e.g. the JS thread was suspended)
+// are not counted as listening time.
+const MAX_TICK_MS = 2000;
+
+/**
+ * Starts accounting for a track.
+ * @param {string} trackId - The track being listened to.
+ * @param {number} durationMs - The track length, if known.
+ * @returns {object} The listen session.
+ */
+export const createListenSession = (trackId, durationMs = 0) => ({
+  trackId,
+  durationMs,
+  listenedMs: 0,     // Total time listened in this session
+  unsavedMs: 0,      // Listened time not yet written to storage
+  lastTickAt: null,
+  isPlayCounted: false,
+});
+
+/**
+ * Advances a session with a new playback status.
+ * @param {object} session - The current listen session.
+ * @param {object} status - A loaded expo-av playback status.
+ * @param {number} now - The current time in milliseconds.
+ * @returns {object} The updated session.
+ */
+export const tickListenSession = (session, status, now) => {
+  const durationMs = status.durationMillis || session.durationMs;
+  const gap = status.isPlaying && session.lastTickAt != null ? now - session.lastTickAt : 0;
+  const elapsed = gap > 0 && gap <= MAX_TICK_MS ? gap : 0;
+  return {
+    ...session,
+    durationMs,
+    listenedMs: session.listenedMs + elapsed,
+    unsavedMs: session.unsavedMs + elapsed,
+    lastTickAt: status.isPlaying ? now : null,
+  };
+};
+
+/**
+ * Whether the session just crossed the play threshold and should be counted as a play.
+ */
+export const shouldCountPlay = (session) => {
+  if (session.isPlayCounted) return false;
+  const threshold = session.durationMs > 0
+    ? Math.min(PLAY_THRESHOLD_MS, session.durationMs * PLAY_THRESHOLD_RATIO)
+    : PLAY_THRESHOLD_MS;
+  return session.listenedMs >= threshold;
+};
+
+// ============================================================================
+// Aggregation
+// ============================================================================
+
+export const StatsPeriod = {
+  DAY: 'day',
+  WEEK: 'week',
+  MONTH: 'month',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+export const MONTH_NAMES_LONG = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+
+// Daily buckets are keyed by UTC date (see storage.recordListening), so all the
+// date maths here is done in UTC as well.
+export const toDateKey = (date) => date.toISOString().split('T')[0];
+
+const fromDateKey = (dateKey) => new Date(`${dateKey}T00:00:00.000Z`);
+
+export const addDays = (dateKey, days) => toDateKey(new Date(fromDateKey(dateKey).getTime() + days * DAY_MS));
+
+// Weeks start on Monday.
+const getWeekStart = (dateKey) => addDays(dateKey, -((fromDateKey(dateKey).getUTCDay() + 6) % 7));
+
+const getMonthStart = (dateKey) => `${dateKey.slice(0, 7)}-01`;
+
+const addMonths = (dateKey, months) => {
+  const date = fromDateKey(getMonthStart(dateKey));
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return toDateKey(date);
+};
+
+const getBucketStart = (dateKey, period) => {
+  if (period === StatsPeriod.WEEK) return getWeekStart(dateKey);
+  if (period === StatsPeriod.MONTH) return getMonthStart(dateKey);
+  return dateKey;
+};
+
+const shiftBucket = (dateKey, period, count) => {
+  if (period === StatsPeriod.WEEK) return addDays(dateKey, count * 7);
+  if (period === StatsPeriod.MONTH) return addMonths(dateKey, count);
+  return addDays(dateKey, count);
+};
+
+const formatBucketLabel = (dateKey, period) => {
+  const date = fromDateKey(dateKey);
+  if (period === StatsPeriod.MONTH) return MONTH_NAMES[date.getUTCMonth()];
+  return `${date.getUTCDate()}/${date.getUTCMonth() + 1}`;
+};
+
+/**
+ * The first day of the range covered by a chart of `count` buckets ending today.
+ * @param {string} period - One of StatsPeriod.
+ * @param {number} count - The number of days, weeks or months.
+ * @param {string} today - 'YYYY-MM-DD'.
+ */
+export const getRangeStart = (period, count, today) =>
+  shiftBucket(getBucketStart(today, period), period, -(count - 1));
+
+const sumBucket = (bucket, field) =>
+  Object.values(bucket).reduce((total, stats) => total + (stats[field] || 0), 0);
+
+/**
+ * Groups daily buckets into a chart series of listening time per day, week or month.
+ * @param {object} days - A map of 'YYYY-MM-DD' -> daily bucket.
+ * @param {string} period - One of StatsPeriod.
+ * @param {number} count - The number of bars, ending with the one containing today.
+ * @param {string} today - 'YYYY-MM-DD'.
+ * @returns {Array<{key: string, label: string, totalPlayTime: number, playCount: number}>} Oldest first.
+ */
+export const buildListeningSeries = (days, period, count, today) => {
+  const start = getRangeStart(period, count, today);
+  const series = [];
+  const byKey = {};
+  for (let i = 0; i < count; i++) {
+    const key = shiftBucket(start, period, i);
+    const entry = { key, label: formatBucketLabel(key, period), totalPlayTime: 0, playCount: 0 };
+    series.push(entry);
+    byKey[key] = entry;
+  }
+
+  Object.entries(days).forEach(([dateKey, bucket]) => {
+    const entry = byKey[getBucketStart(dateKey, period)];
+    if (!entry) return;
+    entry.totalPlayTime += sumBucket(bucket, 'totalPlayTime');
+    entry.playCount += sumBucket(bucket, 'playCount');
+  });
+  return series;
+};
+
+/**
+ * Merges daily buckets into per-track totals.
+ * @param {object} days - A map of 'YYYY-MM-DD' -> daily bucket (see storage.getDailyStats).
+ * @returns {object} A map of trackId -> { playCount, skipCount, totalPlayTime }.
+ */
+export const mergeDailyStats = (days) => {
+  const merged = {};
+  Object.values(days).forEach(bucket => {
+    Object.entries(bucket).forEach(([trackId, stats]) => {
+      const total = merged[trackId] || { playCount: 0, skipCount: 0, totalPlayTime: 0 };
+      total.playCount += stats.playCount || 0;
+      total.skipCount += stats.skipCount || 0;
+      total.totalPlayTime += stats.totalPlayTime || 0;
+      merged[trackId] = total;
+    });
+  });
+  return merged;
+};
+
+/**
+ * Sums per-track totals into overall totals.
+ * @param {object} tracks - A map of trackId -> { playCount, skipCount, totalPlayTime }.
+ */
+export const getTotals = (tracks) => ({
+  totalPlayTime: sumBucket(tracks, 'totalPlayTime'),
+  playCount: sumBucket(tracks, 'playCount'),
+  skipCount: sumBucket(tracks, 'skipCount'),
+  trackCount: Object.keys(tracks).length,
+});
+
+/**
+ * The most listened tracks, ranked by listening time and then plays.
+ * @param {object} tracks - A map of trackId -> totals.
+ * @param {number} limit - How many to return.
+ * @returns {Array<{trackId: string, playCount: number, skipCount: number, totalPlayTime: number}>}
+ */
+export const getTopTracks = (tracks, limit) =>
+  Object.entries(tracks)
+    .map(([trackId, stats]) => ({ trackId, ...stats }))
+    .filter(stats => stats.totalPlayTime > 0 || stats.playCount > 0)
+    .sort((a, b) => b.totalPlayTime - a.totalPlayTime || b.playCount - a.playCount)
+    .slice(0, limit);
+
+/**
+ * The most listened artists. Tracks with several artists count towards each of them.
+ * @param {object} tracks - A map of trackId -> totals.
+ * @param {object} trackDb - The downloaded tracks, used to look up each track's artists.
+ * @param {number} limit - How many to return.
+ * @returns {Array<{name: string, playCount: number, totalPlayTime: number, trackCount: number, topTrackId: string}>}
+ * Each artist's most listened track is included so its artwork can stand in for the artist.
+ */
+export const getTopArtists = (tracks, trackDb, limit) => {
+  const artists = {};
+  Object.entries(tracks).forEach(([trackId, stats]) => {
+    const names = trackDb[trackId]?.artists;
+    if (!Array.isArray(names)) return;
+    names.forEach(name => {
+      const artist = artists[name] || { name, playCount: 0, totalPlayTime: 0, trackCount: 0, topTrackId: trackId, topTrackTime: 0 };
+      artist.playCount += stats.playCount || 0;
+      artist.totalPlayTime += stats.totalPlayTime || 0;
+      artist.trackCount += 1;
+      if ((stats.totalPlayTime || 0) > artist.topTrackTime) {
+        artist.topTrackId = trackId;
+        artist.topTrackTime = stats.totalPlayTime;
+      }
+      artists[name] = artist;
+    });
+  });
+  return Object.values(artists)
+    .filter(artist => artist.totalPlayTime > 0 || artist.playCount > 0)
+    .sort((a, b) => b.totalPlayTime - a.totalPlayTime || b.playCount - a.playCount)
+    .slice(0, limit);
+};
+
+/**
+ * Listening streaks in consecutive days. The current streak is still alive if
+ * nothing has been played yet today but yesterday had listening.
+ * @param {object} days - A map of 'YYYY-MM-DD' -> daily bucket, ideally all of them.
+ * @param {string} today - 'YYYY-MM-DD'.
+ * @returns {{current: number, longest: number}}
+ */
+export const getStreaks = (days, today) => {
+  const activeDays = Object.keys(days)
+    .filter(dateKey => sumBucket(days[dateKey], 'totalPlayTime') > 0 || sumBucket(days[dateKey], 'playCount') > 0)
+    .sort();
+
+  let longest = 0;
+  let run = 0;
+  activeDays.forEach((dateKey, i) => {
+    run = i > 0 && addDays(activeDays[i - 1], 1) === dateKey ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const active = new Set(activeDays);
+  let current = 0;
+  let day = active.has(today) ? today : addDays(today, -1);
+  while (active.has(day)) {
+    current += 1;
+    day = addDays(day, -1);
+  }
+  return { current, longest };
+};
+
+/**
+ * The date range of a calendar year, or of one month in it.
+ * @param {number} year - e.g. 2025.
+ * @param {number|null} month - 0-11, or null for the whole year.
+ * @returns {{start: string, end: string}} Inclusive 'YYYY-MM-DD' bounds.
+ */
+export const getRecapRange = (year, month = null) => {
+  if (month == null) return { start: `${year}-01-01`, end: `${year}-12-31` };
+  const start = toDateKey(new Date(Date.UTC(year, month, 1)));
+  return { start, end: addDays(addMonths(start, 1), -1) };
+};
+
+/**
+ * Builds a year or month in review from the daily buckets.
+ * @param {object} days - A map of 'YYYY-MM-DD' -> daily bucket. Needs the days before
+ * the recap too, to tell which artists are new.
+ * @param {object} trackDb - The downloaded tracks, used to look up artists.
+ * @param {{year: number, month: number|null}} period - The calendar year, and optionally the month.
+ * @returns {object|null} The recap, or null if nothing was listened to in that period.
+ */
+export const buildRecap = (days, trackDb, { year, month = null }) => {
+  const { start, end } = getRecapRange(year, month);
+  const recapDays = {};
+  const earlierDays = {};
+  Object.entries(days).forEach(([dateKey, bucket]) => {
+    if (dateKey >= start && dateKey <= end) recapDays[dateKey] = bucket;
+    else if (dateKey < start) earlierDays[dateKey] = bucket;
+  });
+
+  const tracks = mergeDailyStats(recapDays);
+  const totals = getTotals(tracks);
+  if (totals.totalPlayTime === 0 && totals.playCount === 0) return null;
+
+  // The day with the most plays, and the track that was replayed most on it
+  let mostReplayedDay = null;
+  Object.entries(recapDays).forEach(([dateKey, bucket]) => {
+    const playCount = sumBucket(bucket, 'playCount');
+    if (playCount === 0 || (mostReplayedDay && playCount <= mostReplayedDay.playCount)) return;
+    const [topTrack] = getTopTracks(bucket, 1);
+    mostReplayedDay = {
+      date: dateKey,
+      playCount,
+      totalPlayTime: sumBucket(bucket, 'totalPlayTime'),
+      topTrackId: topTrack?.trackId || null,
+    };
+  });
+
+  // Artists heard in this period who never came up in any earlier daily bucket
+  const earlierArtists = new Set(getTopArtists(mergeDailyStats(earlierDays), trackDb, Infinity).map(a => a.name));
+  const allArtists = getTopArtists(tracks, trackDb, Infinity);
+
+  return {
+    year,
+    month,
+    start,
+    end,
+    minutesListened: Math.round(totals.totalPlayTime / 60000),
+    playCount: totals.playCount,
+    trackCount: totals.trackCount,
+    artistCount: allArtists.length,
+    topTracks: getTopTracks(tracks, 5),
+    topArtists: allArtists.slice(0, 5),
+    mostReplayedDay,
+    newArtists: allArtists.filter(artist => !earlierArtists.has(artist.name)),
+  };
+};
+
+export const formatListeningTime = (millis) => {
+  const totalMinutes = Math.floor(Math.max(millis, 0) / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m`;
+};
@@ -0,0 +1,114 @@
+/**
+ * @file recommendations.js
+ * @description Track recommendations from the backend, seeded from the user's
+ * listening history and cached locally so Home doesn't hit the backend on every visit.
+ */
+import { getBackendRecommendations } from './api';
+import * as storage from './storage';
+
+// Cached recommendations are reused for this long before they are fetched again.
+export const RECOMMENDATIONS_REFRESH_MS = 6 * 60 * 60 * 1000;
+
+const MAX_SEEDS = 5;
+
+/**
+ * Picks seed track ids from the downloaded tracks, alternating between the most played
+ * and the most recently played so both long-time favourites and current listening count.
+ * @param {object} tracks - The downloaded tracks, keyed by id.
+ * @param {number} [limit] - The maximum number of seeds.
+ * @returns {string[]} The seed track ids.
+ */
+export const getRecommendationSeeds = (tracks, limit = MAX_SEEDS) => {
+  const played = Object.values(tracks).filter(track => track.playCount > 0);
+  const mostPlayed = [...played].sort((a, b) => b.playCount - a.playCount);
+  const recentlyPlayed = [...played].sort((a, b) => (b.lastPlayedTimestamp || 0) - (a.lastPlayedTimestamp || 0));
+
+  const seeds = new Set();
+  for (let i = 0; i < played.length && seeds.size < limit; i++) {
+    seeds.add(mostPlayed[i].id);
+    if (seeds.size < limit) seeds.add(recentlyPlayed[i].id);
+  }
+  return [...seeds];
+};
+
+/**
+ * Asks the backend for tracks similar to the seeds. Throws if the backend can't be reached.
+ * @param {string[]} seedTrackIds - Spotify track ids to seed from.
+ * @param {Set<string>} [excludeIds] - Track ids to leave out of the results.
+ * @returns {Promise<object[]>} Spotify track objects, without duplicates.
+ */
+export const fetchRecommendations = async (seedTrackIds, excludeIds = new Set()) => {
+  const data = await getBackendRecommendations(seedTrackIds);
+  const tracks = Array.isArray(data) ? data : data?.tracks || data?.recommendations || [];
+
+  const seen = new Set(excludeIds);
+  return tracks.filter(track => {
+    if (!track?.id || seen.has(track.id)) return false;
+    seen.add(track.id);
+    return true;
+  });
+};
+
+/**
+ * Recommendations for the Home screen, served from the cache while it is fresh.
+ * When the backend is unreachable the last cached results are returned instead, marked stale.
+ * Tracks that have been downloaded since they were recommended are filtered out.
+ * @param {{forceRefresh?: boolean}} [options]
+ * @returns {Promise<{tracks: object[], fetchedAt: number|null, isStale: boolean, error: Error|null}>}
+ */
+export const getRecommendations = async ({ forceRefresh = false } = {}) => {
+  const [downloadedTracks, cache] = await Promise.all([
+    storage.getDownloadedTracks(),
+    storage.getRecommendationsCache(),
+  ]);
+  const notDownloaded = (tracks) => tracks.filter(track => !downloadedTracks[track.id]);
+
+  const seedTrackIds = getRecommendationSeeds(downloadedTracks);
+  if (seedTrackIds.length === 0) {
+    return { tracks: [], fetchedAt: null, isStale: false, error: null };
+  }
+
+  const isFresh = cache && Date.now() - cache.fetchedAt < RECOMMENDATIONS_REFRESH_MS;
+  if (isFresh && !forceRefresh) {
+    return { tracks: notDownloaded(cache.tracks), fetchedAt: cache.fetchedAt, isStale: false, error: null };
+  }
+
+  try {
+    const tracks = await fetchRecommendations(seedTrackIds);
+    const fetchedAt = Date.now();
+    await storage.saveRecommendationsCache({ seedTrackIds, tracks, fetchedAt });
+    console.log(`[Recommendations] Fetched ${tracks.length} recommendations from ${seedTrackIds.length} seeds.`);
+    return { tracks: notDownloaded(tracks), fetchedAt, isStale: false, error: null };
+  } catch (error) {
+    console.warn('[Recommendations] Backend unreachable, falling back to the cache.', error);
+    return {
+      tracks: cache ? notDownloaded(cache.tracks) : [],
+      fetchedAt: cache?.fetchedAt ?? null,
+      isStale: !!cache,
+      error,
+    };
+  }
+};
+
+/**
+ * Recommendations for autoplay, split into tracks that can be queued right away and
+ * tracks that still need downloading.
+ * @param {string[]} seedTrackIds - Usually the last few tracks of the play queue.
+ * @param {Set<string>} [excludeIds] - Track ids already in the queue.
+ * @returns {Promise<{downloaded: object[], notDownloaded: object[]}>} The downloaded ones are
+ * the local track records, ready to play.
+ */
+export const getAutoplayRecommendations = async (seedTrackIds, excludeIds = new Set()) => {
+  const [tracks, downloadedTracks] = await Promise.all([
+    fetchRecommendations(seedTrackIds, excludeIds),
+    storage.getDownloadedTracks(),
+  ]);
+  const downloaded = [];
+  const notDownloaded = [];
+  tracks.forEach(track => {
+    const localTrack = downloadedTracks[track.id];
+    if (localTrack?.fileUri) downloaded.push(localTrack);
+    else notDownloaded.push(track);
+  });
+  return { downloaded, notDownloaded };
+};
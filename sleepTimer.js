@@ -0,0 +1,87 @@
+/**
+ * @file sleepTimer.js
+ * @description Pure sleep timer logic for the player. Nothing in here sets its own timers:
+ * the timer only advances when PlayerContext feeds it a playback status update, so it
+ * can be driven directly (or with fake timers) in tests.
+ */
+
+export const SleepTimerMode = {
+  DURATION: 'duration',
+  END_OF_TRACK: 'endOfTrack',
+  END_OF_QUEUE: 'endOfQueue',
+};
+
+// The volume ramps down to silence over this long before playback is paused.
+export const SLEEP_FADE_MS = 30000;
+
+// The fixed durations offered in the UI, in minutes.
+export const SLEEP_TIMER_DURATIONS = [15, 30, 45, 60, 90];
+
+/**
+ * Creates a new sleep timer.
+ * @param {string} mode - One of SleepTimerMode.
+ * @param {number} [durationMs] - Required for SleepTimerMode.DURATION.
+ * @returns {object} The timer state.
+ */
+export const createSleepTimer = (mode, durationMs = null) => ({
+  mode,
+  remainingMs: mode === SleepTimerMode.DURATION ? durationMs : null,
+  lastTickAt: null,
+});
+
+/**
+ * Advances a timer with a new playback status. Fixed durations only count down while
+ * something is actually playing, so pausing also pauses the timer.
+ * @param {object} timer - The current timer state.
+ * @param {object} status - A loaded expo-av playback status.
+ * @param {{now: number, isLastTrack: boolean}} context - The current time and whether
+ * the current track is the last one in the play order.
+ * @returns {{timer: object, remainingMs: number|null}} The new timer state and the time
+ * left until it fires (null while that isn't known yet, e.g. before the last track of the queue).
+ */
+export const tickSleepTimer = (timer, status, { now, isLastTrack }) => {
+  const trackRemainingMs = Math.max((status.durationMillis || 0) - (status.positionMillis || 0), 0);
+
+  switch (timer.mode) {
+    case SleepTimerMode.DURATION: {
+      const elapsed = status.isPlaying && timer.lastTickAt != null ? now - timer.lastTickAt : 0;
+      const remainingMs = Math.max(timer.remainingMs - elapsed, 0);
+      return {
+        timer: { ...timer, remainingMs, lastTickAt: status.isPlaying ? now : null },
+        remainingMs,
+      };
+    }
+    case SleepTimerMode.END_OF_TRACK:
+      return { timer, remainingMs: status.durationMillis ? trackRemainingMs : null };
+    case SleepTimerMode.END_OF_QUEUE:
+      return { timer, remainingMs: isLastTrack && status.durationMillis ? trackRemainingMs : null };
+    default:
+      return { timer, remainingMs: null };
+  }
+};
+
+/**
+ * Whether the timer should stop playback when the current track finishes, instead of
+ * letting the player move on to the next one.
+ */
+export const stopsAtTrackEnd = (timer, isLastTrack) =>
+  timer.mode === SleepTimerMode.END_OF_TRACK || (timer.mode === SleepTimerMode.END_OF_QUEUE && isLastTrack);
+
+/**
+ * The volume to play at given the time left on the timer: full volume until the last
+ * SLEEP_FADE_MS, then a linear ramp down to 0.
+ */
+export const getSleepFadeVolume = (remainingMs) => {
+  if (remainingMs == null || remainingMs >= SLEEP_FADE_MS) return 1;
+  return Math.max(remainingMs / SLEEP_FADE_MS, 0);
+};
+
+export const formatCountdown = (millis) => {
+  const totalSeconds = Math.ceil(Math.max(millis, 0) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const paddedSeconds = `${seconds < 10 ? '0' : ''}${seconds}`;
+  if (hours > 0) return `${hours}:${minutes < 10 ? '0' : ''}${minutes}:${paddedSeconds}`;
+  return `${minutes}:${paddedSeconds}`;
+};
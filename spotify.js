@@ -171,4 +171,55 @@ export const getArtist = async (artistId) => {
         topTracks: topTracksResponse.tracks.slice(0, 5),
         albums: albumsResponse.items
     };
-};
\ No newline at end of file
+};
+
+/**
+ * Gets all of an artist's top tracks (up to 10), unlike getArtist which keeps only 5.
+ * @param {string} artistId The Spotify artist ID.
+ * @returns {Promise<Array<object>>} An array of track objects.
+ */
+export const getArtistTopTracks = async (artistId) => {
+    const response = await _makeApiCall(`https://api.spotify.com/v1/artists/${artistId}/top-tracks?market=US`);
+    return response.tracks;
+};
+
+/**
+ * Gets artists similar to the given one.
+ * @param {string} artistId The Spotify artist ID.
+ * @returns {Promise<Array<object>>} An array of artist objects.
+ */
+export const getRelatedArtists = async (artistId) => {
+    const response = await _makeApiCall(`https://api.spotify.com/v1/artists/${artistId}/related-artists`);
+    return response.artists;
+};
+
+/**
+ * Gets the tracks of several albums at once, e.g. an artist's whole discography.
+ * Album track listings leave out the album itself, so it is attached to each track.
+ * @param {Array<string>} albumIds Spotify album IDs.
+ * @returns {Promise<Array<object>>} An array of track objects, in album order.
+ */
+export const getAlbumsWithTracks = async (albumIds) => {
+    const batches = [];
+    for (let i = 0; i < albumIds.length; i += 20) { // The albums endpoint takes up to 20 IDs per call
+        batches.push(albumIds.slice(i, i + 20));
+    }
+    const responses = await Promise.all(
+        batches.map(ids => _makeApiCall(`https://api.spotify.com/v1/albums?ids=${ids.join(',')}&market=US`))
+    );
+
+    const albums = responses.flatMap(response => response.albums.filter(Boolean));
+    const albumTracks = await Promise.all(albums.map(async (album) => {
+        const { tracks, ...albumInfo } = album;
+        const items = [...(tracks?.items || [])];
+        // Only the first page of tracks comes with the album; long albums have more
+        let url = tracks?.next;
+        while (url) {
+            const page = await _makeApiCall(url);
+            items.push(...page.items);
+            url = page.next; // URL for the next page of results
+        }
+        return items.map(track => ({ ...track, album: albumInfo }));
+    }));
+    return albumTracks.flat();
+};
@@ -8,6 +8,26 @@ const TRACK_DB_KEY = '@Musox:trackDatabase';
 const PLAYLIST_DB_KEY = '@Musox:playlistDatabase';
 const DOWNLOAD_QUEUE_KEY = '@Musox:downloadQueue'; // New key for the queue
 const DAILY_STATS_KEY_PREFIX = '@Musox:dailyStats_';
+const PLAYBACK_SESSION_KEY = '@Musox:playbackSession';
+const SETTINGS_KEY = '@Musox:settings';
+const TRACK_PLAYBACK_RATES_KEY = '@Musox:trackPlaybackRates';
+const RECOMMENDATIONS_CACHE_KEY = '@Musox:recommendationsCache';
+const DOWNLOAD_PROVIDER_STATS_KEY = '@Musox:downloadProviderStats';
+
+// --- Default User Settings ---
+const DEFAULT_SETTINGS = {
+  saveStreamedTracks: true, // Download tracks in the background while they stream
+  gaplessPlayback: true,     // Preload the next track so it starts without a gap
+  crossfadeSeconds: 0,       // 0 turns crossfade off
+  playbackRate: 1,           // Used for every track without a remembered rate of its own
+  preservePitch: true,       // Correct the pitch when playing faster or slower
+  autoplay: false,           // Keep playing recommendations when the queue runs out
+  autoProcessDownloads: true, // Start downloading as soon as tracks are queued and on launch
+  downloadOnWifiOnly: false,  // Hold automatic downloads until the device is on Wi-Fi
+  downloadConcurrency: 3,     // How many tracks download at the same time
+  downloadProviderOrder: ['freetoolserver', 'y2meta', 'cloudflare'], // Download provider IDs, in the order to try them
+  rankDownloadProviders: true, // Try the providers with the best success rate first
+};
 
 // --- File System Directories ---
 const BASE_DIR = FileSystem.documentDirectory + 'musox/';
@@ -22,6 +42,72 @@ export const initializeStorage = async () => {
     console.log('[Storage] All storage directories are initialized.');
 };
 
+// ============================================================================
+// User Settings
+// ============================================================================
+
+/**
+ * Retrieves the user settings, filled in with defaults for anything not set yet.
+ * @returns {Promise<object>} The settings object.
+ */
+export const getSettings = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(SETTINGS_KEY);
+    return { ...DEFAULT_SETTINGS, ...(jsonValue != null ? JSON.parse(jsonValue) : {}) };
+  } catch (e) {
+    console.error('Failed to fetch settings.', e);
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+/**
+ * Merges the given values into the saved settings.
+ * @param {object} changes - The settings to change.
+ * @returns {Promise<object>} The updated settings object.
+ */
+export const updateSettings = async (changes) => {
+  const updatedSettings = { ...(await getSettings()), ...changes };
+  try {
+    await AsyncStorage.setItem(SETTINGS_KEY, JSON.stringify(updatedSettings));
+  } catch (e) {
+    console.error('Failed to update settings.', e);
+  }
+  return updatedSettings;
+};
+
+/**
+ * Retrieves the playback rates remembered for individual tracks.
+ * @returns {Promise<object>} A map of trackId -> rate.
+ */
+export const getTrackPlaybackRates = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(TRACK_PLAYBACK_RATES_KEY);
+    return jsonValue != null ? JSON.parse(jsonValue) : {};
+  } catch (e) {
+    console.error('Failed to fetch track playback rates.', e);
+    return {};
+  }
+};
+
+/**
+ * Remembers a playback rate for a single track, or forgets it when rate is null.
+ * @param {string} trackId - The track to remember the rate for.
+ * @param {number|null} rate - The rate, or null to go back to the default rate.
+ */
+export const setTrackPlaybackRate = async (trackId, rate) => {
+  try {
+    const rates = await getTrackPlaybackRates();
+    if (rate == null) {
+      delete rates[trackId];
+    } else {
+      rates[trackId] = rate;
+    }
+    await AsyncStorage.setItem(TRACK_PLAYBACK_RATES_KEY, JSON.stringify(rates));
+  } catch (e) {
+    console.error('Failed to save track playback rate.', e);
+  }
+};
+
 // ============================================================================
 // Download Queue Management (New)
 // ============================================================================
@@ -62,6 +148,45 @@ export const addTrackToDownloadQueue = async (trackData) => {
   }
 };
 
+/**
+ * Removes a track from the download queue.
+ * @param {string} trackId - The ID of the track to remove.
+ * @returns {Promise<Array<object>>} The updated queue.
+ */
+export const removeFromDownloadQueue = async (trackId) => {
+  const queue = await getDownloadQueue();
+  const updatedQueue = queue.filter(item => item.id !== trackId);
+  await updateDownloadQueue(updatedQueue);
+  return updatedQueue;
+};
+
+/**
+ * Moves a track to the front of the download queue, so the next run picks it up first.
+ * @param {string} trackId - The ID of the track to move.
+ * @returns {Promise<Array<object>>} The updated queue.
+ */
+export const moveToTopOfDownloadQueue = async (trackId) => {
+  const queue = await getDownloadQueue();
+  const item = queue.find(t => t.id === trackId);
+  if (!item) return queue;
+  const updatedQueue = [item, ...queue.filter(t => t.id !== trackId)];
+  await updateDownloadQueue(updatedQueue);
+  return updatedQueue;
+};
+
+/**
+ * Updates some tracks in the download queue, e.g. setting their status to 'queued' to retry them.
+ * @param {(item: object) => boolean} predicate - Selects the queue items to update.
+ * @param {object} changes - The fields to set on each selected item.
+ * @returns {Promise<Array<object>>} The updated queue.
+ */
+export const updateDownloadQueueItems = async (predicate, changes) => {
+  const queue = await getDownloadQueue();
+  const updatedQueue = queue.map(item => (predicate(item) ? { ...item, ...changes } : item));
+  await updateDownloadQueue(updatedQueue);
+  return updatedQueue;
+};
+
 /**
  * Overwrites the entire download queue.
  * Useful for removing processed tracks or updating statuses.
@@ -79,6 +204,17 @@ export const updateDownloadQueue = async (newQueue) => {
 // Track Database & Asset Management
 // ============================================================================
 
+// Writes to the track database (and the daily stats recorded with it) read it, change it and
+// write it back whole. Downloads finish concurrently, alongside listening records, so these
+// writes run one at a time or they'd overwrite each other's changes.
+let trackDbWriteChain = Promise.resolve();
+
+const withTrackDbLock = (task) => {
+  const run = trackDbWriteChain.then(task);
+  trackDbWriteChain = run.catch(() => {});
+  return run;
+};
+
 export const getDownloadedTracks = async () => {
   try {
     const jsonValue = await AsyncStorage.getItem(TRACK_DB_KEY);
@@ -89,51 +225,74 @@ export const getDownloadedTracks = async () => {
   }
 };
 
+/**
+ * Where a track's assets live on disk. The downloader writes the audio and thumbnail
+ * files here itself, so they never have to pass through JS memory.
+ * @param {string} trackId - The Spotify track ID.
+ * @returns {{songUri: string, thumbnailUri: string, lrcUri: string}}
+ */
+export const getTrackAssetUris = (trackId) => ({
+    songUri: SONGS_DIR + `${trackId}.webm`,
+    thumbnailUri: THUMBNAILS_DIR + `${trackId}.png`,
+    lrcUri: LYRICS_DIR + `${trackId}.lrc`,
+});
+
+/**
+ * Records a downloaded track in the track database. The song (and thumbnail, if any) must
+ * already be written to the URIs from getTrackAssetUris; only the lyrics are written here.
+ * @param {object} trackMetadata - At least the track's id, name, artists and duration_ms.
+ * @param {{hasThumbnail: boolean, lrcData: string}} assets
+ * @returns {Promise<boolean>} Whether the track was recorded.
+ */
 export const addDownloadedTrack = async (trackMetadata, assets) => {
-  // console.log('addDownloadedTrack called with:', trackMetadata, assets);
     const trackId = trackMetadata.id;
-    if (!trackId || !assets.songData) {
-        console.error("Cannot save track without a trackId and songData.");
-        return;
+    if (!trackId) {
+        console.error("Cannot save track without a trackId.");
+        return false;
     }
 
-    const songUri = SONGS_DIR + `${trackId}.webm`;
-    const thumbnailUri = THUMBNAILS_DIR + `${trackId}.png`;
-    const lrcUri = LYRICS_DIR + `${trackId}.lrc`;
+    const { songUri, thumbnailUri, lrcUri } = getTrackAssetUris(trackId);
 
     try {
-        await FileSystem.writeAsStringAsync(songUri, assets.songData, { encoding: FileSystem.EncodingType.Base64 });
-        if (assets.thumbnailData) {
-            await FileSystem.writeAsStringAsync(thumbnailUri, assets.thumbnailData, { encoding: FileSystem.EncodingType.Base64 });
+        const songInfo = await FileSystem.getInfoAsync(songUri);
+        if (!songInfo.exists) {
+            console.error(`Cannot save track ${trackId}: no song file at ${songUri}.`);
+            return false;
         }
         if (assets.lrcData) {
             await FileSystem.writeAsStringAsync(lrcUri, assets.lrcData, { encoding: FileSystem.EncodingType.UTF8 });
         }
         console.log(`[Storage] Assets saved for track: ${trackId}`);
 
-        const existingTracks = await getDownloadedTracks();
-        const existingStats = existingTracks[trackId] || { playCount: 0, totalPlayTime: 0 };
-        
-        const newTrackRecord = {
-            ...trackMetadata,
-            fileUri: songUri,
-            thumbnailUri: assets.thumbnailData ? thumbnailUri : null,
-            lrcUri: assets.lrcData ? lrcUri : null,
-            playCount: existingStats.playCount,
-            totalPlayTime: existingStats.totalPlayTime,
-            downloadedAt: new Date().toISOString(),
-        };
-
-        const updatedTracks = {
-            ...existingTracks,
-            [trackId]: newTrackRecord,
-        };
-
-        await AsyncStorage.setItem(TRACK_DB_KEY, JSON.stringify(updatedTracks));
+        await withTrackDbLock(async () => {
+            const existingTracks = await getDownloadedTracks();
+            const existingStats = existingTracks[trackId] || { playCount: 0, skipCount: 0, totalPlayTime: 0 };
+
+            const newTrackRecord = {
+                ...trackMetadata,
+                fileUri: songUri,
+                thumbnailUri: assets.hasThumbnail ? thumbnailUri : null,
+                lrcUri: assets.lrcData ? lrcUri : null,
+                playCount: existingStats.playCount,
+                skipCount: existingStats.skipCount || 0,
+                totalPlayTime: existingStats.totalPlayTime,
+                lastPlayedTimestamp: existingStats.lastPlayedTimestamp,
+                downloadedAt: new Date().toISOString(),
+            };
+
+            const updatedTracks = {
+                ...existingTracks,
+                [trackId]: newTrackRecord,
+            };
+
+            await AsyncStorage.setItem(TRACK_DB_KEY, JSON.stringify(updatedTracks));
+        });
         console.log(`[Storage] Track metadata saved to DB for: ${trackMetadata.name}`);
+        return true;
 
     } catch (e) {
         console.error('Failed to save track assets or update DB.', e);
+        return false;
     }
 };
 
@@ -225,22 +384,74 @@ export const getPlaylistWithTracks = async (playlistId) => {
     }
 };
 
+// ============================================================================
+// Playback Session
+// ============================================================================
+
+/**
+ * Saves a snapshot of the player so it can be restored on the next launch.
+ * @param {object} session - { trackIds, queueIndex, positionMillis, playOrder, shuffleEnabled, repeatMode }
+ */
+export const savePlaybackSession = async (session) => {
+  try {
+    await AsyncStorage.setItem(PLAYBACK_SESSION_KEY, JSON.stringify({ ...session, savedAt: new Date().toISOString() }));
+  } catch (e) {
+    console.error('Failed to save playback session.', e);
+  }
+};
+
+/**
+ * Retrieves the last saved playback session.
+ * @returns {Promise<object|null>} The saved session, or null if there is none.
+ */
+export const getPlaybackSession = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(PLAYBACK_SESSION_KEY);
+    return jsonValue != null ? JSON.parse(jsonValue) : null;
+  } catch (e) {
+    console.error('Failed to fetch playback session.', e);
+    return null;
+  }
+};
+
+export const clearPlaybackSession = async () => {
+  try {
+    await AsyncStorage.removeItem(PLAYBACK_SESSION_KEY);
+  } catch (e) {
+    console.error('Failed to clear playback session.', e);
+  }
+};
+
 // ============================================================================
 // Playback Logging
 // ============================================================================
 
-export const logSongPlay = async (trackId) => {
-    if (!trackId) return;
+/**
+ * Records listening activity for a track in both the track database and today's
+ * `@Musox:dailyStats_` bucket.
+ * @param {string} trackId - The track that was listened to.
+ * @param {object} activity
+ * @param {number} [activity.listenedMs] - Milliseconds actually listened since the last record.
+ * @param {boolean} [activity.countPlay] - The listen crossed the play threshold.
+ * @param {boolean} [activity.countSkip] - The track was left before reaching the play threshold.
+ */
+export const recordListening = async (trackId, { listenedMs = 0, countPlay = false, countSkip = false }) => {
+    if (!trackId || (listenedMs <= 0 && !countPlay && !countSkip)) return;
+    const playIncrement = countPlay ? 1 : 0;
+    const skipIncrement = countSkip ? 1 : 0;
     try {
-        const allTracks = await getDownloadedTracks();
-        const track = allTracks[trackId];
-
-        if (track) {
-            // 1. Update Master Track List
-            track.playCount = (track.playCount || 0) + 1;
-            track.totalPlayTime = (track.totalPlayTime || 0) + (track.duration_ms || 0);
-            allTracks[trackId] = track;
-            await AsyncStorage.setItem(TRACK_DB_KEY, JSON.stringify(allTracks));
+        await withTrackDbLock(async () => {
+            // 1. Update Master Track List (only downloaded tracks have a record)
+            const allTracks = await getDownloadedTracks();
+            const track = allTracks[trackId];
+            if (track) {
+                track.playCount = (track.playCount || 0) + playIncrement;
+                track.skipCount = (track.skipCount || 0) + skipIncrement;
+                track.totalPlayTime = (track.totalPlayTime || 0) + listenedMs;
+                if (countPlay) track.lastPlayedTimestamp = Date.now();
+                allTracks[trackId] = track;
+                await AsyncStorage.setItem(TRACK_DB_KEY, JSON.stringify(allTracks));
+            }
 
             // 2. Update Daily Stats
             const today = new Date().toISOString().split('T')[0];
@@ -248,15 +459,108 @@ export const logSongPlay = async (trackId) => {
             const dailyStatsJson = await AsyncStorage.getItem(dailyStatsKey);
             const dailyStats = dailyStatsJson ? JSON.parse(dailyStatsJson) : {};
 
-            const dailyTrackStats = dailyStats[trackId] || { playCount: 0, totalPlayTime: 0 };
-            dailyTrackStats.playCount += 1;
-            dailyTrackStats.totalPlayTime += (track.duration_ms || 0);
+            const dailyTrackStats = { playCount: 0, skipCount: 0, totalPlayTime: 0, ...dailyStats[trackId] };
+            dailyTrackStats.playCount += playIncrement;
+            dailyTrackStats.skipCount += skipIncrement;
+            dailyTrackStats.totalPlayTime += listenedMs;
             dailyStats[trackId] = dailyTrackStats;
             await AsyncStorage.setItem(dailyStatsKey, JSON.stringify(dailyStats));
-            
-            console.log(`[Storage] Logged play for '${track.name}'`);
-        }
+
+            if (countPlay) console.log(`[Storage] Logged play for '${track?.name || trackId}'`);
+            if (countSkip) console.log(`[Storage] Logged skip for '${track?.name || trackId}'`);
+        });
+    } catch (e) {
+        console.error(`Failed to record listening for track ${trackId}:`, e);
+    }
+};
+
+// ============================================================================
+// Recommendations Cache
+// ============================================================================
+
+/**
+ * Retrieves the last recommendations fetched from the backend.
+ * @returns {Promise<{seedTrackIds: string[], tracks: object[], fetchedAt: number}|null>}
+ */
+export const getRecommendationsCache = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(RECOMMENDATIONS_CACHE_KEY);
+    return jsonValue != null ? JSON.parse(jsonValue) : null;
+  } catch (e) {
+    console.error('Failed to fetch recommendations cache.', e);
+    return null;
+  }
+};
+
+/**
+ * Saves freshly fetched recommendations.
+ * @param {{seedTrackIds: string[], tracks: object[], fetchedAt: number}} cache
+ */
+export const saveRecommendationsCache = async (cache) => {
+  try {
+    await AsyncStorage.setItem(RECOMMENDATIONS_CACHE_KEY, JSON.stringify(cache));
+  } catch (e) {
+    console.error('Failed to save recommendations cache.', e);
+  }
+};
+
+// ============================================================================
+// Download Provider Stats
+// ============================================================================
+
+/**
+ * Retrieves how often each download provider has succeeded and failed.
+ * @returns {Promise<object>} Counts keyed by provider ID: { successes, failures }.
+ */
+export const getDownloadProviderStats = async () => {
+  try {
+    const jsonValue = await AsyncStorage.getItem(DOWNLOAD_PROVIDER_STATS_KEY);
+    return jsonValue != null ? JSON.parse(jsonValue) : {};
+  } catch (e) {
+    console.error('Failed to fetch download provider stats.', e);
+    return {};
+  }
+};
+
+/**
+ * Overwrites the download provider stats.
+ * @param {object} stats - Counts keyed by provider ID: { successes, failures }.
+ */
+export const saveDownloadProviderStats = async (stats) => {
+  try {
+    await AsyncStorage.setItem(DOWNLOAD_PROVIDER_STATS_KEY, JSON.stringify(stats));
+  } catch (e) {
+    console.error('Failed to save download provider stats.', e);
+  }
+};
+
+// ============================================================================
+// Listening Stats Queries
+// ============================================================================
+
+/**
+ * Reads the `@Musox:dailyStats_` buckets between two dates (inclusive).
+ * @param {string} [startDate] - 'YYYY-MM-DD'. Omit to start from the first recorded day.
+ * @param {string} [endDate] - 'YYYY-MM-DD'. Omit to go up to the last recorded day.
+ * @returns {Promise<object>} A map of 'YYYY-MM-DD' -> { [trackId]: { playCount, skipCount, totalPlayTime } }.
+ */
+export const getDailyStats = async (startDate, endDate) => {
+    try {
+        const allKeys = await AsyncStorage.getAllKeys();
+        const dayKeys = allKeys.filter(key => {
+            if (!key.startsWith(DAILY_STATS_KEY_PREFIX)) return false;
+            const date = key.slice(DAILY_STATS_KEY_PREFIX.length);
+            return (!startDate || date >= startDate) && (!endDate || date <= endDate);
+        });
+
+        const pairs = await AsyncStorage.multiGet(dayKeys);
+        const days = {};
+        pairs.forEach(([key, value]) => {
+            if (value) days[key.slice(DAILY_STATS_KEY_PREFIX.length)] = JSON.parse(value);
+        });
+        return days;
     } catch (e) {
-        console.error(`Failed to log play for track ${trackId}:`, e);
+        console.error('Failed to fetch daily stats.', e);
+        return {};
     }
 };